@@ -0,0 +1,68 @@
+const IdaSync = require('../lib/index');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Compares a sequential sync (--jobs 1) with a parallel one on a generated tree.
+// Usage: node benchmark/sync.js [files] [jobs]
+
+const FILE_COUNT = Number(process.argv[2]) || 20000;
+const JOBS = Number(process.argv[3]) || 16;
+const FILES_PER_DIR = 100;
+
+async function createTree(dir) {
+  for (let i = 0; i < FILE_COUNT; i++) {
+    const subDir = path.join(dir, `group${Math.floor(i / (FILES_PER_DIR * 10))}`, `dir${Math.floor(i / FILES_PER_DIR)}`);
+    if (i % FILES_PER_DIR === 0) {
+      await fs.mkdir(subDir, { recursive: true });
+    }
+    await fs.writeFile(path.join(subDir, `file${i}.txt`), `content of file ${i}\n`.repeat(20));
+  }
+}
+
+async function time(label, fn) {
+  const start = process.hrtime.bigint();
+  const result = await fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(32)} ${ms.toFixed(0).padStart(8)} ms  (${result.copied} copied, ${result.deleted} deleted)`);
+  return ms;
+}
+
+async function main() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'idasync-bench-'));
+  const source = path.join(root, 'source');
+
+  try {
+    console.log(`Creating ${FILE_COUNT} files in ${source}...`);
+    await createTree(source);
+
+    const timings = {};
+    for (const jobs of [1, JOBS]) {
+      const destination = path.join(root, `dest-${jobs}`);
+      const sync = new IdaSync({ jobs });
+
+      timings[jobs] = {
+        copy: await time(`jobs=${jobs} initial copy`, () => sync.sync(source, destination)),
+        noop: await time(`jobs=${jobs} unchanged resync`, () => sync.sync(source, destination))
+      };
+
+      // Move the first group out of the source for a delete-heavy run, then restore it
+      const movedGroup = path.join(root, 'moved-group');
+      await fs.rename(path.join(source, 'group0'), movedGroup);
+      timings[jobs].delete = await time(`jobs=${jobs} delete-heavy resync`, () => sync.sync(source, destination));
+      await fs.rename(movedGroup, path.join(source, 'group0'));
+    }
+
+    console.log('');
+    for (const phase of ['copy', 'noop', 'delete']) {
+      console.log(`Speed-up (${phase}): ${(timings[1][phase] / timings[JOBS][phase]).toFixed(2)}x`);
+    }
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
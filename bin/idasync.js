@@ -1,77 +1,670 @@
 #!/usr/bin/env node
 
 const IdaSync = require('../lib/index');
+const Backup = require('../lib/backup');
+const { loadConfig, mergeOptions, resolveJob } = require('../lib/config');
+const fs = require('fs').promises;
 const path = require('path');
 
+// Exit codes: everything synced, some files failed (--error-policy continue), or the sync stopped.
+// diff exits with EXIT_DIFFERENT when the trees are out of sync.
+const EXIT_SUCCESS = 0;
+const EXIT_FATAL = 1;
+const EXIT_PARTIAL = 2;
+const EXIT_DIFFERENT = 3;
+
+// Keeps log messages off stdout while it carries a JSON report
+const stderrLogger = { info: console.error, warn: console.warn, error: console.error };
+
 function printUsage() {
   console.log(`
-Usage: idasync <source> <destination> [options]
+Usage: idasync <source...> <destination> [options]
+       idasync run <job...> [options]
+       idasync run --all [options]
+       idasync restore <backup> [destination]
+       idasync diff <source...> <destination> [options]
+       idasync
 
 Arguments:
-  source       Source directory to sync from
-  destination  Destination directory to sync to
+  source       Source directory to sync from. With several, later sources
+               override earlier ones file by file. A .tar, .tar.gz or .tgz
+               path is read as an archive
+  destination  Destination directory to sync to, or a .tar, .tar.gz or .tgz
+               archive to write
+  job          Name of a job from idasync.config.js, idasync.config.json
+               or the "idasync" key in package.json
+  backup       Backup run directory, or a backup directory to list its runs
+
+Commands:
+  run <job...>  Run the named jobs from the config, in order
+  run --all     Run every job from the config
+  restore       Undo a backup run: remove the files it created and put back
+                the ones it deleted or overwrote (destination defaults to the
+                one recorded in the backup)
+  diff          Report how the destination differs from the source, without
+                changing anything; exits with 3 when they are out of sync
+  (none)        List the jobs from the config
 
 Options:
   --copy-exclude <pattern>    Exclude files matching pattern from copying (can be used multiple times)
   --delete-exclude <pattern>  Exclude files matching pattern from deletion (can be used multiple times)
+  --include <pattern>         Only sync files matching pattern (can be used multiple times)
+  --min-size <size>           Only sync files at least this large, e.g. 100k
+  --max-size <size>           Only sync files at most this large, e.g. 10M
+  --newer-than <time>         Only sync files modified after a date, or within an age such as 1d
+  --older-than <time>         Only sync files modified before a date, or longer ago than an age such as 2w
+  --checksum                  Compare file contents instead of modification times
+  --size-only                 Compare file sizes only
+  --modify-window <seconds>   Treat modification times this close together as equal, e.g. 2 for FAT
+  --update, -u                Never overwrite a destination file that is newer than the source's
+  --ignore-existing           Only copy files missing from the destination
+  --existing                  Only update files that already exist in the destination
+  --detect-renames            Rename destination files that were renamed in the source instead of
+                              copying them again; matched by size and time, and content with --checksum
+  --hash-cache <file>         Cache checksums in this file between runs
+  --ignore-file <path>        Read copy exclusions from a .gitignore-style file (can be used multiple times)
+  --protect-file <path>       Read delete exclusions from a .gitignore-style file (can be used multiple times)
+  --bidirectional             Sync changes both ways, using a state file to tell what changed on each side
+  --conflicts <policy>        How to resolve files changed on both sides: newer-wins (default),
+                              source-wins or keep-both
+  --state-file <path>         Where bidirectional mode keeps its state (default: .idasync-state.json
+                              in the destination)
+  --backup-dir <dir>          Move deleted and overwritten files into a timestamped run in this directory
+  --keep-backups <n>          Keep only the newest n backup runs (with --backup-dir)
+  --transactional             Journal every change and roll the destination back if the sync fails
+  --error-policy <policy>     What to do when a file fails: fail-fast (default) stops the sync,
+                              continue syncs the rest and reports the failures
+  --retries <n>               Retries for files that are busy or locked (default: 2)
+  --retry-delay <ms>          Delay before the first retry, doubled for each next one (default: 100)
+  --symlinks <mode>           How to handle symlinks in the source: skip (default), preserve or follow
+  --preserve <list>           Comma-separated metadata to keep: mode, times, ownership (as root),
+                              emptyDirs, or all
+  --case-sensitive            Match exclusion patterns case-sensitively
+  --jobs, -j <n>              Number of files compared, copied or deleted at once (default: 8)
+  --progress                  Show files, bytes and throughput while syncing
+  --dry-run                   Print the planned changes without modifying the source or destination
+  --itemize, -i               Print one line per change with an rsync-style change code
+  --json                      Print a JSON report instead of the summary
+  --json-file <path>          Also write the JSON report to a file
+  --watch                     Keep syncing changes until interrupted
   --verbose, -v               Enable verbose output
+  --all                       Run every job from the config (with run)
   --help, -h                  Show this help message
 
 Examples:
   idasync ./src ./dist
   idasync ./src ./dist --verbose
+  idasync ./base ./brand ./dist
+  idasync ./dist ./release/site.tar.gz
+  idasync ./release/site.tar.gz ./public
   idasync ./src ./dist --copy-exclude "*.log" --copy-exclude "tmp/*"
   idasync ./src ./dist --delete-exclude "config.json" --verbose
+  idasync ./assets ./dist/img --include "*.png" --include "*.svg" --max-size 2M
+  idasync ./uploads ./archive --newer-than 1d
+  idasync ./src ./dist --dry-run
+  idasync ./build ./public --itemize
+  idasync ./build ./public --json > report.json
+  idasync ./assets ./dist/assets --watch
+  idasync ./src ./dist --ignore-file .gitignore
+  idasync ./src ./dist --checksum --hash-cache .idasync-cache.json
+  idasync ./music /media/usb/music --modify-window 2 --update
+  idasync ./videos /mnt/nas/videos --detect-renames
+  idasync ./shared ./laptop --bidirectional --conflicts keep-both
+  idasync ./src ./dist --backup-dir ./backups --keep-backups 10
+  idasync ./build ./production --transactional
+  idasync ./scripts ./deploy/scripts --preserve mode,times,emptyDirs
+  idasync ./photos /mnt/nas/photos --error-policy continue --retries 5
+  idasync restore ./backups/2025-01-31T12-00-00-000Z ./dist
+  idasync diff ./src ./dist --checksum
+  idasync run assets public --dry-run
+  idasync run --all
+
+Note: Patterns are globs supporting *, ?, **, {a,b}, [abc] and [!abc].
+A leading / anchors a pattern at the root, a trailing / matches directories only,
+and !pattern re-includes files excluded by an earlier pattern.
+Matching is case-insensitive unless --case-sensitive is given.
 
-Note: Patterns support wildcards (* and ?) and are case-insensitive.
+Copy exclusions win over includes. With includes, only matching files are synced;
+the size and age limits then narrow that down. Files in the destination that the
+includes or limits leave out are never deleted.
+
+.idasyncignore (copy exclusions) and .idasyncprotect (delete exclusions) files
+found in the source are loaded automatically and apply to their own directory.
+
+Itemized lines start with an 11-character code like rsync's: > or < (file copied to
+the destination or the source), c (created locally), . (metadata only), *deleting
+or *renaming (moved within the destination, shown as old -> new);
+then f, d or L for file, directory or link; then c, s, t, p and o/g flag what differs
+(content, size, time, permissions, owner), with +++ for new entries.
+
+Exit status is 0 on success, 2 when some files failed with --error-policy continue,
+3 when diff finds differences, and 1 when the sync could not run or stopped on an error.
 `);
 }
 
-async function main() {
-  const args = process.argv.slice(2);
+function printPlan(plan) {
+  console.log(`Dry run: no changes will be made.`);
   
-  if (args.length < 2 || args.includes('--help') || args.includes('-h')) {
-    printUsage();
-    process.exit(args.includes('--help') || args.includes('-h') ? 0 : 1);
+  const counts = {};
+  for (const action of plan.actions) {
+    counts[action.type] = (counts[action.type] || 0) + 1;
+    // Bidirectional plans show which side each action changes
+    const direction = plan.bidirectional ? (action.to === 'source' ? '<- ' : action.to === 'destination' ? '-> ' : '   ') : '';
+    const details = [action.reason];
+    if (action.conflictPath) details.push(`destination version kept as ${action.conflictPath}`);
+    if (plan.sources && action.source) details.push(`from ${path.relative(process.cwd(), action.source) || '.'}`);
+    const output = action.output ? ` -> ${action.output}` : '';
+    console.log(`${action.type.padEnd(10)} ${direction}${action.path}${output} (${details.join(', ')})`);
   }
   
-  const source = args[0];
-  const destination = args[1];
+  const types = plan.bidirectional
+    ? ['copy', 'overwrite', 'delete', 'keep-both', 'skip', 'rmdir']
+    : ['copy', 'overwrite', 'delete', 'skip', 'rmdir'];
+  // Metadata actions only appear with --preserve, renames with --detect-renames
+  types.push(...['mkdir', 'metadata', 'rename'].filter(type => counts[type]));
+  const summary = types
+    .map(type => `${counts[type] || 0} ${type}`)
+    .join(', ');
+  console.log(`Planned: ${summary}`);
+}
+
+function changeFlags(item) {
+  const reason = item.reason || '';
+  const metadataOnly = item.type === 'metadata';
+  const owner = /owner/.test(reason);
+  // Content, size, time, permissions, owner and group, then three columns rsync has and we don't
+  return [
+    !metadataOnly && /content|output|link target|type|conflict/.test(reason) ? 'c' : '.',
+    /size/.test(reason) ? 's' : '.',
+    /mtime/.test(reason) || (metadataOnly && /content changes|^new$/.test(reason)) ? 't' : '.',
+    /mode/.test(reason) ? 'p' : '.',
+    owner ? 'o' : '.',
+    owner ? 'g' : '.',
+    '...'
+  ].join('');
+}
+
+function itemize(item) {
+  const toPath = relativePath => relativePath.split(path.sep).join('/');
+  const target = toPath(item.output || item.path);
+  const arrow = item.to === 'source' ? '<' : '>';
+  const kind = item.link !== undefined ? 'L' : 'f';
   
-  const options = {
-    copyExclusions: [],
-    deleteExclusions: [],
-    verbose: false
+  switch (item.type) {
+    case 'copy':
+      return [`${item.link !== undefined ? 'c' : arrow}${kind}+++++++++ ${target}`];
+    case 'overwrite':
+      return [`${item.link !== undefined ? 'c' : arrow}${kind}${changeFlags(item)} ${target}`];
+    case 'delete':
+      return [`*deleting   ${target}`];
+    case 'rename':
+      return [`*renaming   ${toPath(item.from)} -> ${target}`];
+    case 'rmdir':
+      return [`*deleting   ${target}/`];
+    case 'mkdir':
+      return [`cd+++++++++ ${target}/`];
+    case 'metadata':
+      return [`.${item.directory ? 'd' : 'f'}${changeFlags(item)} ${target}${item.directory ? '/' : ''}`];
+    case 'keep-both':
+      return [`<f+++++++++ ${toPath(item.conflictPath)}`, `>f${changeFlags(item)} ${target}`];
+    default:
+      return [];
+  }
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function showProgress(sync) {
+  const stream = process.stderr;
+  const interval = stream.isTTY ? 100 : 1000;
+  let totals = null;
+  let startTime = 0;
+  let lastRender = 0;
+  let filesDone = 0;
+  let bytesDone = 0;
+  let deleted = 0;
+  const inFlight = new Map();
+  
+  const render = (final = false) => {
+    const now = Date.now();
+    if (!final && now - lastRender < interval) return;
+    lastRender = now;
+    
+    let bytes = bytesDone;
+    inFlight.forEach(value => { bytes += value; });
+    const seconds = Math.max((now - startTime) / 1000, 0.001);
+    
+    const line = `Copied ${filesDone}/${totals.copy} files, ` +
+      `${formatBytes(bytes)}/${formatBytes(totals.bytes)}, ` +
+      `${formatBytes(bytes / seconds)}/s, ` +
+      `deleted ${deleted}/${totals.delete}`;
+    
+    if (stream.isTTY) {
+      stream.write(`\r${line}\x1b[K${final ? '\n' : ''}`);
+    } else {
+      stream.write(`${line}\n`);
+    }
+  };
+  
+  sync.on('start', planTotals => {
+    totals = planTotals;
+    startTime = Date.now();
+    filesDone = 0;
+    bytesDone = 0;
+    deleted = 0;
+    inFlight.clear();
+    render(true);
+  });
+  sync.on('copy:progress', ({ path: filePath, bytesCopied }) => {
+    inFlight.set(filePath, bytesCopied);
+    render();
+  });
+  sync.on('copy:end', ({ path: filePath, bytes }) => {
+    inFlight.delete(filePath);
+    filesDone++;
+    bytesDone += bytes;
+    render();
+  });
+  sync.on('delete', () => {
+    deleted++;
+    render();
+  });
+  sync.on('done', () => render(true));
+}
+
+function parseArgs(args) {
+  const parsed = {
+    positional: [],
+    options: {
+      copyExclusions: [],
+      deleteExclusions: [],
+      includes: [],
+      ignoreFiles: [],
+      protectFiles: []
+    },
+    dryRun: false,
+    itemize: false,
+    json: false,
+    jsonFile: null,
+    reports: [],
+    progress: false,
+    watch: false,
+    all: false
   };
+  const { options } = parsed;
   
-  // Parse options
-  for (let i = 2; i < args.length; i++) {
+  for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
     if (arg === '--copy-exclude' && i + 1 < args.length) {
       options.copyExclusions.push(args[++i]);
     } else if (arg === '--delete-exclude' && i + 1 < args.length) {
       options.deleteExclusions.push(args[++i]);
+    } else if (arg === '--include' && i + 1 < args.length) {
+      options.includes.push(args[++i]);
+    } else if (arg === '--min-size' && i + 1 < args.length) {
+      options.minSize = args[++i];
+    } else if (arg === '--max-size' && i + 1 < args.length) {
+      options.maxSize = args[++i];
+    } else if (arg === '--newer-than' && i + 1 < args.length) {
+      options.newerThan = args[++i];
+    } else if (arg === '--older-than' && i + 1 < args.length) {
+      options.olderThan = args[++i];
+    } else if (arg === '--checksum') {
+      options.compare = 'checksum';
+    } else if (arg === '--size-only') {
+      options.compare = 'size-only';
+    } else if (arg === '--modify-window' && i + 1 < args.length) {
+      options.modifyWindow = Number(args[++i]);
+    } else if (arg === '--update' || arg === '-u') {
+      options.update = true;
+    } else if (arg === '--ignore-existing') {
+      options.ignoreExisting = true;
+    } else if (arg === '--existing') {
+      options.existing = true;
+    } else if (arg === '--detect-renames') {
+      options.detectRenames = true;
+    } else if (arg === '--hash-cache' && i + 1 < args.length) {
+      options.hashCache = args[++i];
+    } else if (arg === '--ignore-file' && i + 1 < args.length) {
+      options.ignoreFiles.push(args[++i]);
+    } else if (arg === '--protect-file' && i + 1 < args.length) {
+      options.protectFiles.push(args[++i]);
+    } else if (arg === '--bidirectional') {
+      options.bidirectional = true;
+    } else if (arg === '--conflicts' && i + 1 < args.length) {
+      options.conflicts = args[++i];
+    } else if (arg === '--state-file' && i + 1 < args.length) {
+      options.stateFile = args[++i];
+    } else if (arg === '--backup-dir' && i + 1 < args.length) {
+      options.backupDir = args[++i];
+    } else if (arg === '--keep-backups' && i + 1 < args.length) {
+      options.keepBackups = Number(args[++i]);
+    } else if (arg === '--preserve' && i + 1 < args.length) {
+      const value = args[++i];
+      options.preserve = value === 'all' ? true : value.split(',').map(aspect => aspect.trim()).filter(Boolean);
+    } else if (arg === '--transactional') {
+      options.transactional = true;
+    } else if (arg === '--error-policy' && i + 1 < args.length) {
+      options.errorPolicy = args[++i];
+    } else if (arg === '--retries' && i + 1 < args.length) {
+      options.retries = Number(args[++i]);
+    } else if (arg === '--retry-delay' && i + 1 < args.length) {
+      options.retryDelay = Number(args[++i]);
+    } else if (arg === '--symlinks' && i + 1 < args.length) {
+      options.symlinks = args[++i];
+    } else if (arg === '--case-sensitive') {
+      options.caseSensitive = true;
+    } else if ((arg === '--jobs' || arg === '-j') && i + 1 < args.length) {
+      options.jobs = Number(args[++i]);
+    } else if (arg === '--dry-run') {
+      parsed.dryRun = true;
+    } else if (arg === '--itemize' || arg === '-i') {
+      parsed.itemize = true;
+    } else if (arg === '--json') {
+      parsed.json = true;
+    } else if (arg === '--json-file' && i + 1 < args.length) {
+      parsed.jsonFile = args[++i];
+    } else if (arg === '--progress') {
+      parsed.progress = true;
+    } else if (arg === '--watch') {
+      parsed.watch = true;
+    } else if (arg === '--all') {
+      parsed.all = true;
     } else if (arg === '--verbose' || arg === '-v') {
       options.verbose = true;
-    } else {
+    } else if (arg.startsWith('-')) {
       console.error(`Unknown option: ${arg}`);
       printUsage();
-      process.exit(1);
+      process.exit(EXIT_FATAL);
+    } else {
+      parsed.positional.push(arg);
     }
   }
   
+  return parsed;
+}
+
+function printJobs(config) {
+  const names = Object.keys(config.jobs);
+  console.log(`Jobs in ${path.relative(process.cwd(), config.path) || config.path}:`);
+  
+  for (const name of names) {
+    const job = resolveJob(config, name);
+    const source = [].concat(job.source).map(sourcePath => path.relative(process.cwd(), sourcePath) || '.').join(' + ');
+    const destination = path.relative(process.cwd(), job.destination) || '.';
+    console.log(`  ${name.padEnd(20)} ${source} -> ${destination}`);
+  }
+  
+  if (names.length === 0) {
+    console.log(`  (none)`);
+  }
+}
+
+async function runSync(source, destination, options, parsed, job = null) {
+  // A JSON report on stdout leaves stdout to the report alone
+  const sync = new IdaSync(parsed.json ? { ...options, logger: options.logger || stderrLogger } : options);
+  const print = parsed.json ? () => {} : console.log;
+  const printItems = parsed.json ? console.error : console.log;
+  const header = {
+    ...(job ? { job } : {}),
+    source: Array.isArray(source) ? source.map(sourcePath => path.resolve(sourcePath)) : path.resolve(source),
+    destination: path.resolve(destination)
+  };
+  
+  if (parsed.progress) {
+    showProgress(sync);
+  }
+  
+  if (parsed.dryRun) {
+    const plan = await sync.plan(source, destination);
+    if (parsed.itemize) {
+      print(`Dry run: no changes will be made.`);
+      plan.actions.forEach(action => itemize(action).forEach(line => printItems(line)));
+    } else if (!parsed.json) {
+      printPlan(plan);
+    }
+    parsed.reports.push({ ...header, dryRun: true, actions: plan.actions });
+    return null;
+  }
+  
+  if (parsed.watch) {
+    const watcher = await sync.watch(source, destination, {
+      onSync: result => {
+        if (parsed.itemize) {
+          result.files.forEach(file => itemize(file).forEach(line => console.log(line)));
+        }
+        console.log(`Synced: ${result.copied} copied, ${result.deleted} deleted, ${result.skipped} skipped`);
+      }
+    });
+    console.log(`Watching ${[].concat(source).join(', ')} for changes (Ctrl+C to stop)...`);
+    return watcher;
+  }
+  
+  const result = await sync.sync(source, destination);
+  parsed.reports.push({ ...header, dryRun: false, ...result });
+  
+  if (parsed.itemize) {
+    result.files.forEach(file => itemize(file).forEach(line => printItems(line)));
+  }
+  
+  print(`Synchronization complete!`);
+  print(`Files copied: ${result.copied}`);
+  print(`Files deleted: ${result.deleted}`);
+  print(`Files skipped: ${result.skipped}`);
+  if (result.renamed !== undefined) {
+    print(`Files renamed: ${result.renamed}`);
+  }
+  if (result.conflicts !== undefined) {
+    print(`Conflicts: ${result.conflicts}`);
+  }
+  if (result.updated !== undefined) {
+    print(`Metadata updated: ${result.updated}`);
+    print(`Directories created: ${result.dirsCreated}`);
+  }
+  print(`Transferred: ${formatBytes(result.bytes)} in ${(result.elapsed / 1000).toFixed(1)} s`);
+  if (result.backup) {
+    print(`Backup: ${result.backup}`);
+  }
+  if (result.errors) {
+    print(`Errors: ${result.errors.length}`);
+    for (const error of result.errors) {
+      print(`  ${error.operation} ${error.path}: ${error.code || error.message}`);
+    }
+    // Later jobs still run, but the process reports the partial failure
+    if (result.errors.length > 0) {
+      process.exitCode = EXIT_PARTIAL;
+    }
+  }
+  return null;
+}
+
+async function writeReport(parsed, isRun) {
+  if (!parsed.json && !parsed.jsonFile) return;
+  if (!isRun && parsed.reports.length === 0) return;
+  
+  // Jobs get one report each, in the order they ran
+  const text = `${JSON.stringify(isRun ? parsed.reports : parsed.reports[0], null, 2)}\n`;
+  if (parsed.json) {
+    process.stdout.write(text);
+  }
+  if (parsed.jsonFile) {
+    await fs.writeFile(parsed.jsonFile, text);
+  }
+}
+
+async function runDiff(parsed) {
+  if (parsed.positional.length < 2) {
+    printUsage();
+    process.exit(EXIT_FATAL);
+  }
+  
+  const sources = parsed.positional.slice(0, -1);
+  const destination = parsed.positional[parsed.positional.length - 1];
+  const { options } = parsed;
+  const sync = new IdaSync(parsed.json ? { ...options, logger: options.logger || stderrLogger } : options);
+  const result = await sync.compare(sources.length === 1 ? sources[0] : sources, destination);
+  parsed.reports.push(result);
+  
+  if (!result.inSync) {
+    process.exitCode = EXIT_DIFFERENT;
+  }
+  if (parsed.json) return;
+  
+  for (const file of result.missingInDestination) {
+    console.log(`Missing in destination: ${file}`);
+  }
+  for (const file of result.missingInSource) {
+    console.log(`Missing in source:      ${file}`);
+  }
+  for (const file of result.different) {
+    const renamed = file.output ? ` -> ${file.output}` : '';
+    console.log(`Different:              ${file.path}${renamed} (${file.reason})`);
+  }
+  for (const file of result.protected) {
+    const protection = file.pattern ? `delete exclusion "${file.pattern}"` : `filter: ${file.filter}`;
+    console.log(`Protected:              ${file.path} (${protection})`);
+  }
+  for (const error of result.errors || []) {
+    console.log(`Not compared:           ${error.path} (${error.code || error.message})`);
+  }
+  
+  if (result.inSync) {
+    console.log(`In sync.`);
+  } else {
+    console.log(`Out of sync: ${result.missingInDestination.length} missing in destination, ` +
+      `${result.missingInSource.length} missing in source, ${result.different.length} different`);
+  }
+}
+
+async function runRestore(parsed) {
+  const [backup, destination] = parsed.positional;
+  if (!backup || parsed.positional.length > 2) {
+    printUsage();
+    process.exit(EXIT_FATAL);
+  }
+  
+  const sync = new IdaSync(parsed.options);
+  let manifest;
   try {
-    const sync = new IdaSync(options);
-    const result = await sync.sync(source, destination);
+    manifest = await Backup.readManifest(path.resolve(backup));
+  } catch (error) {
+    // Not a run, so list the runs in it
+    const runs = await sync.listBackups(backup);
+    if (runs.length === 0) {
+      throw error;
+    }
+    console.log(`Backup runs in ${backup}:`);
+    for (const run of runs) {
+      console.log(`  ${run.id}  ${run.files.length} backed up, ${run.created.length} created  ${run.destination}`);
+    }
+    console.log(`Pick one: idasync restore ${path.join(backup, runs[runs.length - 1].id)} <destination>`);
+    process.exit(EXIT_FATAL);
+  }
+  
+  const target = destination || manifest.destination;
+  const result = await sync.restore(backup, target);
+  
+  console.log(`Restore complete!`);
+  console.log(`Files restored: ${result.restored}`);
+  console.log(`Files removed: ${result.removed}`);
+}
+
+async function runJobs(config, parsed) {
+  const names = parsed.all ? Object.keys(config.jobs) : parsed.positional;
+  
+  if (names.length === 0) {
+    printJobs(config);
+    return [];
+  }
+  
+  // Resolve every job up front so a typo fails before anything runs
+  const jobs = names.map(name => ({ name, options: resolveJob(config, name) }));
+  const watchers = [];
+  
+  for (const job of jobs) {
+    const { source, destination, ...jobOptions } = mergeOptions(job.options, parsed.options);
+    (parsed.json ? console.error : console.log)(`[${job.name}] ${[].concat(source).join(' + ')} -> ${destination}`);
+    
+    const watcher = await runSync(source, destination, jobOptions, parsed, job.name);
+    if (watcher) watchers.push(watcher);
+  }
+  
+  return watchers;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    process.exit(EXIT_SUCCESS);
+  }
+  
+  try {
+    const isRun = args[0] === 'run';
+    const isRestore = args[0] === 'restore';
+    const isDiff = args[0] === 'diff';
+    const parsed = parseArgs(isRun || isRestore || isDiff ? args.slice(1) : args);
+    let watchers = [];
     
-    console.log(`Synchronization complete!`);
-    console.log(`Files copied: ${result.copied}`);
-    console.log(`Files deleted: ${result.deleted}`);
-    console.log(`Files skipped: ${result.skipped}`);
+    if ((parsed.json || parsed.jsonFile) && parsed.watch) {
+      throw new Error('--json and --json-file can\'t be used with --watch');
+    }
+    
+    if (isRestore) {
+      await runRestore(parsed);
+    } else if (isDiff) {
+      await runDiff(parsed);
+    } else if (isRun || args.length === 0) {
+      const config = await loadConfig();
+      if (!config) {
+        if (args.length === 0) {
+          printUsage();
+          process.exit(EXIT_FATAL);
+        }
+        throw new Error('No idasync.config.js, idasync.config.json or "idasync" key in package.json found');
+      }
+      
+      if (isRun) {
+        watchers = await runJobs(config, parsed);
+      } else {
+        printJobs(config);
+      }
+    } else {
+      if (parsed.positional.length < 2) {
+        printUsage();
+        process.exit(EXIT_FATAL);
+      }
+      
+      // Every argument but the last is a source, in priority order
+      const sources = parsed.positional.slice(0, -1);
+      const destination = parsed.positional[parsed.positional.length - 1];
+      const source = sources.length === 1 ? sources[0] : sources;
+      const watcher = await runSync(source, destination, parsed.options, parsed);
+      if (watcher) watchers.push(watcher);
+    }
+    
+    await writeReport(parsed, isRun);
+    
+    if (watchers.length > 0) {
+      process.on('SIGINT', () => {
+        watchers.forEach(watcher => watcher.close());
+        process.exit(process.exitCode || EXIT_SUCCESS);
+      });
+    }
   } catch (error) {
     console.error(`Error: ${error.message}`);
-    process.exit(1);
+    process.exit(EXIT_FATAL);
   }
 }
 
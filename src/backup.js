@@ -0,0 +1,236 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Backups of destination files that a sync deletes or overwrites
+ *
+ * Every run gets its own timestamped folder inside the backup directory:
+ *
+ *   <backupDir>/2025-01-31T12-00-00-000Z/manifest.json
+ *   <backupDir>/2025-01-31T12-00-00-000Z/files/<relative path>
+ *
+ * The manifest lists the files moved into `files/`, the files the run
+ * created and the files it renamed in place, so the run can be undone with
+ * `IdaSync.restore()`.
+ */
+
+const MANIFEST = 'manifest.json';
+const FILES_DIR = 'files';
+
+class Backup {
+  /**
+   * @param {string} backupDir - Directory holding the backup runs
+   * @param {string} destination - Absolute destination path being synced
+   */
+  constructor(backupDir, destination) {
+    this.backupDir = path.resolve(backupDir);
+    this.destination = destination;
+    this.createdAt = new Date();
+    this.runDir = null;
+    this.opening = null;
+    this.files = [];
+    this.created = [];
+    this.renamed = [];
+  }
+
+  /**
+   * Create the run folder on first use
+   * @returns {Promise<string>} - Run folder path
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = (async () => {
+        await fs.mkdir(this.backupDir, { recursive: true });
+        const baseName = this.createdAt.toISOString().replace(/:/g, '-').replace('.', '-');
+
+        // Runs started within the same millisecond get a suffix
+        for (let attempt = 0; ; attempt++) {
+          const runDir = path.join(this.backupDir, attempt === 0 ? baseName : `${baseName}-${attempt}`);
+          try {
+            await fs.mkdir(runDir);
+            this.runDir = runDir;
+            return runDir;
+          } catch (error) {
+            if (error.code !== 'EEXIST') {
+              throw error;
+            }
+          }
+        }
+      })();
+    }
+    return this.opening;
+  }
+
+  /**
+   * Move a destination file into the run folder
+   * @param {string} relativePath - Path relative to the destination
+   * @param {string} reason - Plan action that displaced the file (`delete` or `overwrite`)
+   */
+  async move(relativePath, reason) {
+    const runDir = await this.open();
+    const sourcePath = path.join(this.destination, relativePath);
+    const backupPath = path.join(runDir, FILES_DIR, relativePath);
+
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await moveEntry(sourcePath, backupPath);
+    this.files.push({ path: relativePath.split(path.sep).join('/'), action: reason });
+  }
+
+  /**
+   * Remember a file the run created, so a restore can remove it again
+   * @param {string} relativePath - Path relative to the destination
+   */
+  recordCreated(relativePath) {
+    this.created.push(relativePath.split(path.sep).join('/'));
+  }
+
+  /**
+   * Remember a file the run renamed in the destination, so a restore can move it back
+   * @param {string} fromPath - Old path relative to the destination
+   * @param {string} toPath - New path relative to the destination
+   */
+  recordRenamed(fromPath, toPath) {
+    const toPortable = relativePath => relativePath.split(path.sep).join('/');
+    this.renamed.push({ path: toPortable(toPath), from: toPortable(fromPath) });
+  }
+
+  /**
+   * Remove the run folder, for a run whose changes were rolled back
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    if (!this.opening) return;
+
+    await fs.rm(await this.opening, { recursive: true, force: true });
+    this.files = [];
+    this.created = [];
+    this.renamed = [];
+  }
+
+  /**
+   * Write the manifest if the run changed anything
+   * @returns {Promise<string|null>} - Run folder path, or null if nothing was recorded
+   */
+  async finish() {
+    if (this.files.length === 0 && this.created.length === 0 && this.renamed.length === 0) return null;
+
+    const runDir = await this.open();
+    const manifest = {
+      version: 1,
+      destination: this.destination,
+      createdAt: this.createdAt.toISOString(),
+      files: sortByPath(this.files),
+      created: [...this.created].sort(),
+      renamed: sortByPath(this.renamed)
+    };
+    await fs.writeFile(path.join(runDir, MANIFEST), JSON.stringify(manifest, null, 2));
+    return runDir;
+  }
+
+  /**
+   * List the runs in a backup directory, oldest first
+   * @param {string} backupDir - Directory holding the backup runs
+   * @returns {Promise<Object[]>} - Runs with `id`, `path`, `createdAt`, `files`, `created` and `renamed`
+   */
+  static async list(backupDir) {
+    let names;
+    try {
+      names = await fs.readdir(path.resolve(backupDir));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = [];
+    for (const name of names.sort()) {
+      const runDir = path.join(path.resolve(backupDir), name);
+      try {
+        const manifest = await Backup.readManifest(runDir);
+        runs.push({ id: name, path: runDir, ...manifest });
+      } catch (error) {
+        // Not a backup run
+      }
+    }
+    return runs.sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+  }
+
+  /**
+   * Read the manifest of a run
+   * @param {string} runDir - Run folder path
+   * @returns {Promise<Object>} - Manifest
+   */
+  static async readManifest(runDir) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(runDir, MANIFEST), 'utf8'));
+    } catch (error) {
+      throw new Error(`Not a backup run (no readable ${MANIFEST}): ${runDir}`);
+    }
+    if (manifest.version !== 1) {
+      throw new Error(`Unsupported backup manifest version ${manifest.version} in ${runDir}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Path of a backed up file inside a run folder
+   * @param {string} runDir - Run folder path
+   * @param {string} relativePath - Path relative to the destination, as listed in the manifest
+   * @returns {string} - Backed up file path
+   */
+  static filePath(runDir, relativePath) {
+    return path.join(runDir, FILES_DIR, ...relativePath.split('/'));
+  }
+
+  /**
+   * Remove all but the newest runs
+   * @param {string} backupDir - Directory holding the backup runs
+   * @param {number} keep - Number of runs to keep
+   * @returns {Promise<string[]>} - Ids of the removed runs
+   */
+  static async prune(backupDir, keep) {
+    const runs = await Backup.list(backupDir);
+    const expired = runs.slice(0, Math.max(runs.length - keep, 0));
+
+    for (const run of expired) {
+      await fs.rm(run.path, { recursive: true, force: true });
+    }
+    return expired.map(run => run.id);
+  }
+}
+
+/**
+ * Move a file or symlink, copying it when the rename crosses devices
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ */
+async function moveEntry(from, to) {
+  try {
+    await fs.rename(from, to);
+    return;
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+  }
+
+  const stat = await fs.lstat(from);
+  if (stat.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(from), to);
+  } else {
+    await fs.copyFile(from, to);
+    await fs.utimes(to, stat.atime, stat.mtime);
+  }
+  await fs.unlink(from);
+}
+
+/**
+ * Sort manifest entries by path
+ * @param {Object[]} entries - Entries with a `path`
+ * @returns {Object[]} - Sorted copy
+ */
+function sortByPath(entries) {
+  return [...entries].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+module.exports = Backup;
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Loading of named sync jobs from a config file
+ *
+ * The config is read from the first of `idasync.config.js`,
+ * `idasync.config.json` or the `"idasync"` key of `package.json`:
+ *
+ *   {
+ *     defaults: { copyExclusions: ['*.log'] },
+ *     jobs: {
+ *       assets: { source: './assets', destination: './dist/assets' },
+ *       public: { extends: 'assets', source: './public', destination: './dist/public' }
+ *     }
+ *   }
+ */
+
+const CONFIG_FILES = ['idasync.config.js', 'idasync.config.json'];
+
+// Options whose values are lists and accumulate instead of being replaced
+const LIST_OPTIONS = ['copyExclusions', 'deleteExclusions', 'includes', 'ignoreFiles', 'protectFiles', 'transforms'];
+
+// Options holding paths, resolved against the config file's directory
+const PATH_OPTIONS = ['source', 'destination', 'hashCache', 'backupDir', 'stateFile'];
+const PATH_LIST_OPTIONS = ['ignoreFiles', 'protectFiles'];
+
+/**
+ * Find and read the config in a directory
+ * @param {string} [dir] - Directory to look in (default: current working directory)
+ * @returns {Promise<{path: string, defaults: Object, jobs: Object}|null>} - Config, or null if there is none
+ */
+async function loadConfig(dir = process.cwd()) {
+  const baseDir = path.resolve(dir);
+
+  for (const fileName of CONFIG_FILES) {
+    const configPath = path.join(baseDir, fileName);
+    try {
+      await fs.access(configPath);
+    } catch (error) {
+      continue;
+    }
+
+    const data = fileName.endsWith('.js')
+      ? require(configPath)
+      : JSON.parse(await fs.readFile(configPath, 'utf8'));
+    return normalizeConfig(data, configPath);
+  }
+
+  try {
+    const packagePath = path.join(baseDir, 'package.json');
+    const pkg = JSON.parse(await fs.readFile(packagePath, 'utf8'));
+    if (pkg.idasync) {
+      return normalizeConfig(pkg.idasync, packagePath);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate the shape of a config
+ * @param {Object} data - Raw config
+ * @param {string} configPath - File the config was read from
+ * @returns {{path: string, defaults: Object, jobs: Object}} - Config
+ */
+function normalizeConfig(data, configPath) {
+  if (!data || typeof data !== 'object' || !data.jobs || typeof data.jobs !== 'object') {
+    throw new Error(`Invalid config in ${configPath}: expected a "jobs" object`);
+  }
+
+  return {
+    path: configPath,
+    defaults: data.defaults || {},
+    jobs: data.jobs
+  };
+}
+
+/**
+ * Merge two option sets; list options are concatenated, the rest are overridden
+ * @param {Object} base - Base options
+ * @param {Object} override - Options taking precedence
+ * @returns {Object} - Merged options
+ */
+function mergeOptions(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    merged[key] = LIST_OPTIONS.includes(key) ? [...(base[key] || []), ...value] : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Resolve a job into `IdaSync` options plus `source` and `destination`,
+ * applying the config defaults and its `extends` chain
+ * @param {Object} config - Config returned by `loadConfig()`
+ * @param {string} name - Job name
+ * @returns {Object} - Job options with absolute paths
+ */
+function resolveJob(config, name) {
+  const chain = [];
+
+  for (let current = name; current !== undefined; current = config.jobs[current].extends) {
+    if (!config.jobs[current]) {
+      throw new Error(chain.length === 0 ? `Unknown job: ${current}` : `Job "${chain[0]}" extends unknown job "${current}"`);
+    }
+    if (chain.includes(current)) {
+      throw new Error(`Circular extends in job "${name}": ${[...chain, current].join(' -> ')}`);
+    }
+    chain.push(current);
+  }
+
+  // Apply the most basic job first so the requested job wins
+  let options = { ...config.defaults };
+  for (const jobName of chain.reverse()) {
+    const { extends: _, ...jobOptions } = config.jobs[jobName];
+    options = mergeOptions(options, jobOptions);
+  }
+
+  if (!options.source || options.source.length === 0 || !options.destination) {
+    throw new Error(`Job "${name}" needs both a source and a destination`);
+  }
+
+  const baseDir = path.dirname(config.path);
+  for (const key of PATH_OPTIONS) {
+    if (Array.isArray(options[key])) {
+      // Several sources, overlaid in order
+      options[key] = options[key].map(filePath => path.resolve(baseDir, filePath));
+    } else if (options[key]) {
+      options[key] = path.resolve(baseDir, options[key]);
+    }
+  }
+  for (const key of PATH_LIST_OPTIONS) {
+    if (options[key]) options[key] = options[key].map(filePath => path.resolve(baseDir, filePath));
+  }
+
+  return options;
+}
+
+module.exports = {
+  loadConfig,
+  mergeOptions,
+  resolveJob
+};
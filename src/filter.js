@@ -0,0 +1,67 @@
+/**
+ * Size and age limits for the files a sync covers
+ *
+ * Sizes are a number of bytes, or a string with a binary unit such as
+ * `"500k"`, `"10M"` or `"1.5GB"`. Times are a `Date`, a millisecond
+ * timestamp, a date string such as `"2025-01-31"`, or an age such as
+ * `"30m"`, `"12h"`, `"1d"` or `"2w"` that is measured back from when a
+ * sync is planned.
+ */
+
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+const AGE_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a size limit
+ * @param {number|string|undefined} value - Size as given in the options
+ * @param {string} name - Option name, for the error message
+ * @returns {number|null} - Size in bytes, or null if not set
+ */
+function parseSize(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+
+  const match = typeof value === 'string' && /^(\d+(?:\.\d+)?)\s*([bkmgt]?)(?:i?b)?$/i.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid ${name}: ${value} (expected a number of bytes or a size such as "10M")`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Parse a time limit
+ * @param {Date|number|string|undefined} value - Time as given in the options
+ * @param {string} name - Option name, for the error message
+ * @returns {Object|null} - `{at}` for a fixed time or `{age}` for one relative to the plan, in milliseconds,
+ *   or null if not set
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) return { at: value.getTime() };
+  if (typeof value === 'number' && Number.isFinite(value)) return { at: value };
+
+  if (typeof value === 'string') {
+    const age = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(value.trim());
+    if (age) return { age: Number(age[1]) * AGE_UNITS[age[2].toLowerCase()] };
+
+    const at = new Date(value).getTime();
+    if (!Number.isNaN(at)) return { at };
+  }
+  throw new Error(`Invalid ${name}: ${value} (expected a date or an age such as "1d")`);
+}
+
+/**
+ * Turn a parsed time limit into a timestamp
+ * @param {Object} time - Result of `parseTime()`
+ * @param {number} now - Timestamp ages are measured from
+ * @returns {number} - Timestamp in milliseconds
+ */
+function resolveTime(time, now) {
+  return time.age !== undefined ? now - time.age : time.at;
+}
+
+module.exports = {
+  parseSize,
+  parseTime,
+  resolveTime
+};
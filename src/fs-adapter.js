@@ -0,0 +1,108 @@
+const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const { promisify } = require('util');
+
+/**
+ * File system adapters
+ *
+ * IdaSync reads the source and writes the destination through an adapter: an
+ * object whose methods work like their `fs.promises` namesakes, on absolute
+ * paths as `path.resolve()` gives them. Errors should carry Node's codes
+ * (`ENOENT`, `ENOTDIR`, `EEXIST`, `ENOTEMPTY`, ...), as the sync relies on them.
+ *
+ * Required:
+ * - `readdir(path)`: Entries of a directory, each with a `name` and `isFile()`,
+ *   `isDirectory()` and `isSymbolicLink()`, like `fs.Dirent`
+ * - `stat(path)`: Stats with `size`, `mode`, `uid`, `gid`, `atime` and `mtime`
+ *   (Dates) and the `is...()` methods, following symlinks
+ * - `createReadStream(path)`, `createWriteStream(path)`: Streams of a file's
+ *   content, returned right away
+ * - `mkdir(path, {recursive})`, `unlink(path)`, `rmdir(path)`,
+ *   `utimes(path, atime, mtime)` and `rename(from, to)`
+ *
+ * Optional, filled in by `withDefaults()`:
+ * - `lstat(path)`: Stats of a symlink itself (default: `stat()`)
+ * - `realpath(path)` (default: the path as it is)
+ * - `readlink(path)` and `symlink(target, path, type)`: Needed to sync
+ *   symlinks (default: fail with ENOTSUP)
+ * - `chmod(path, mode)` and `chown(path, uid, gid)`: Needed to keep modes
+ *   and owners (default: do nothing)
+ * - `readFile(path, [encoding])`, `writeFile(path, data)` and
+ *   `copyFile(from, to)` (default: stream the content)
+ */
+
+const pipelineAsync = promisify(pipeline);
+
+const REQUIRED_METHODS = ['readdir', 'stat', 'createReadStream', 'createWriteStream', 'mkdir', 'unlink', 'rmdir', 'utimes', 'rename'];
+const OPTIONAL_METHODS = ['lstat', 'realpath', 'readlink', 'symlink', 'chmod', 'chown', 'readFile', 'writeFile', 'copyFile'];
+
+/**
+ * Adapter for the local file system, used unless another one is given. Each
+ * method looks up its `fs` function when called, so patches to `fs` apply.
+ */
+const nodeFileSystem = {
+  readdir: dirPath => fs.promises.readdir(dirPath, { withFileTypes: true }),
+  createReadStream: filePath => fs.createReadStream(filePath),
+  createWriteStream: filePath => fs.createWriteStream(filePath)
+};
+for (const name of [...REQUIRED_METHODS, ...OPTIONAL_METHODS]) {
+  if (!nodeFileSystem[name]) nodeFileSystem[name] = (...args) => fs.promises[name](...args);
+}
+
+/**
+ * Check an adapter and fill in the optional methods it lacks
+ * @param {Object} adapter - File system adapter
+ * @returns {Object} - Adapter with every method, bound to the original
+ */
+function withDefaults(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Invalid file system adapter: expected an object');
+  }
+  const missing = REQUIRED_METHODS.filter(name => typeof adapter[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Invalid file system adapter: missing ${missing.join(', ')}`);
+  }
+
+  const own = {};
+  for (const name of [...REQUIRED_METHODS, ...OPTIONAL_METHODS]) {
+    if (typeof adapter[name] === 'function') own[name] = adapter[name].bind(adapter);
+  }
+
+  const unsupported = syscall => async filePath => {
+    throw Object.assign(new Error(`ENOTSUP: operation not supported by the file system adapter, ${syscall} '${filePath}'`), {
+      code: 'ENOTSUP',
+      syscall,
+      path: filePath
+    });
+  };
+  const readFile = async (filePath, encoding) => {
+    const chunks = [];
+    for await (const chunk of own.createReadStream(filePath)) {
+      chunks.push(Buffer.from(chunk));
+    }
+    const content = Buffer.concat(chunks);
+    return encoding ? content.toString(encoding) : content;
+  };
+
+  const filled = {
+    lstat: own.stat,
+    realpath: async filePath => filePath,
+    readlink: unsupported('readlink'),
+    symlink: async (target, filePath) => unsupported('symlink')(filePath),
+    chmod: async () => {},
+    chown: async () => {},
+    readFile,
+    writeFile: (filePath, data) => pipelineAsync(Readable.from([Buffer.from(data)]), own.createWriteStream(filePath)),
+    copyFile: async (from, to) => {
+      await pipelineAsync(own.createReadStream(from), own.createWriteStream(to));
+      await filled.chmod(to, (await own.stat(from)).mode & 0o7777);
+    },
+    ...own
+  };
+  return filled;
+}
+
+module.exports = {
+  nodeFileSystem,
+  withDefaults
+};
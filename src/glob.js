@@ -0,0 +1,238 @@
+/**
+ * Glob pattern matching for exclusion lists
+ *
+ * Supported syntax:
+ * - `*` matches any characters except `/`, `?` matches one of them
+ * - `**` as a whole path segment matches any number of directories
+ * - `{a,b}` matches either alternative, alternatives may contain globs
+ * - `[abc]`, `[a-z]` and `[!abc]` match one character from (or not from) a set
+ * - A leading `/`, or a `/` in the middle, anchors the pattern at the root;
+ *   otherwise it matches at any depth
+ * - A trailing `/` only matches directories
+ * - A leading `!` re-includes paths matched by an earlier pattern
+ *
+ * A pattern that matches a directory also matches everything inside it.
+ */
+
+// Compiled patterns, least recently used first. Bounded, as a long-running watch
+// can keep meeting new patterns from ignore files as they are edited.
+const COMPILED_CACHE_SIZE = 1000;
+const compiledCache = new Map();
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Character to escape
+ * @returns {string} - Escaped character
+ */
+function escapeRegex(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Find the `}` closing a brace group, honouring nesting
+ * @param {string} glob - Glob text
+ * @param {number} start - Index of the opening `{`
+ * @returns {{end: number, alternatives: string[]}|null} - Closing index and top-level alternatives
+ */
+function parseBraces(glob, start) {
+  let depth = 0;
+  let current = '';
+  const alternatives = [];
+
+  for (let i = start + 1; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0) {
+        alternatives.push(current);
+        return alternatives.length > 1 ? { end: i, alternatives } : null;
+      }
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      alternatives.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a character class starting at `[` into a regex class
+ * @param {string} glob - Glob text
+ * @param {number} start - Index of the opening `[`
+ * @returns {{end: number, source: string}|null} - Closing index and regex source
+ */
+function parseClass(glob, start) {
+  let i = start + 1;
+  let negated = false;
+
+  if (glob[i] === '!' || glob[i] === '^') {
+    negated = true;
+    i++;
+  }
+
+  // A `]` right after the opening bracket is a literal member
+  const bodyStart = i;
+  if (glob[i] === ']') i++;
+  while (i < glob.length && glob[i] !== ']') i++;
+  if (i >= glob.length) return null;
+
+  const body = glob.slice(bodyStart, i).replace(/[\\\]^]/g, '\\$&');
+  return {
+    end: i,
+    // Character classes never match the path separator
+    source: negated ? `[^/${body}]` : `(?!/)[${body}]`
+  };
+}
+
+/**
+ * Translate glob text into regular expression source
+ * @param {string} glob - Glob text without negation or anchoring markers
+ * @returns {string} - Regex source
+ */
+function globToRegexSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+
+        if (atSegmentStart && atSegmentEnd) {
+          if (i + 2 === glob.length) {
+            // Trailing `**` matches everything below
+            source += '.*';
+            i++;
+          } else {
+            // `**/` matches zero or more directories
+            source += '(?:.*/)?';
+            i += 2;
+          }
+          continue;
+        }
+
+        // `**` inside a segment behaves like `*`
+        while (glob[i + 1] === '*') i++;
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const charClass = parseClass(glob, i);
+      if (charClass) {
+        source += charClass.source;
+        i = charClass.end;
+      } else {
+        source += '\\[';
+      }
+    } else if (char === '{') {
+      const braces = parseBraces(glob, i);
+      if (braces) {
+        source += `(?:${braces.alternatives.map(globToRegexSource).join('|')})`;
+        i = braces.end;
+      } else {
+        source += '\\{';
+      }
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a glob pattern into a matcher
+ * @param {string} pattern - Glob pattern
+ * @param {boolean} caseSensitive - Whether letter case must match
+ * @returns {{pattern: string, negated: boolean, dirOnly: boolean, regex: RegExp}} - Compiled pattern
+ */
+function compileGlob(pattern, caseSensitive = false) {
+  const cacheKey = `${caseSensitive ? 's' : 'i'}:${pattern}`;
+  const cached = compiledCache.get(cacheKey);
+  if (cached) {
+    compiledCache.delete(cacheKey);
+    compiledCache.set(cacheKey, cached);
+    return cached;
+  }
+
+  let glob = pattern.replace(/\\/g, '/'); // Normalize pattern separators
+  const negated = glob.startsWith('!');
+  if (negated) glob = glob.slice(1);
+
+  const dirOnly = glob.length > 1 && glob.endsWith('/');
+  if (dirOnly) glob = glob.slice(0, -1);
+
+  // Patterns with a slash other than a trailing one are relative to the root
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const regex = new RegExp(`${prefix}${globToRegexSource(glob)}$`, caseSensitive ? '' : 'i');
+
+  const compiled = { pattern, negated, dirOnly, regex };
+  compiledCache.set(cacheKey, compiled);
+  if (compiledCache.size > COMPILED_CACHE_SIZE) {
+    compiledCache.delete(compiledCache.keys().next().value);
+  }
+  return compiled;
+}
+
+/**
+ * Test a compiled pattern against a path or any of its parent directories
+ * @param {Object} compiled - Pattern returned by `compileGlob()`
+ * @param {string[]} segments - Path segments
+ * @param {boolean} isDirectory - Whether the path itself is a directory
+ * @returns {boolean} - True if the pattern matches
+ */
+function matchesSegments(compiled, segments, isDirectory) {
+  let candidate = '';
+
+  for (let i = 0; i < segments.length; i++) {
+    candidate = i === 0 ? segments[0] : `${candidate}/${segments[i]}`;
+    const candidateIsDirectory = i < segments.length - 1 || isDirectory;
+
+    if ((!compiled.dirOnly || candidateIsDirectory) && compiled.regex.test(candidate)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Find the pattern that decides whether a path is matched. Patterns are
+ * applied in order and the last one matching wins, so a later `!pattern`
+ * can re-include a path.
+ * @param {string} filePath - Relative path to check
+ * @param {string[]} patterns - Glob patterns
+ * @param {Object} [options] - `caseSensitive` and `isDirectory` flags
+ * @returns {string|null} - The deciding pattern, or null if the path is not matched
+ */
+function findMatchingGlob(filePath, patterns, options = {}) {
+  if (!patterns || patterns.length === 0) return null;
+
+  const segments = filePath.replace(/\\/g, '/').split('/').filter(Boolean);
+  let match = null;
+
+  for (const pattern of patterns) {
+    const compiled = compileGlob(pattern, options.caseSensitive);
+    if (matchesSegments(compiled, segments, options.isDirectory || false)) {
+      match = compiled.negated ? null : pattern;
+    }
+  }
+
+  return match;
+}
+
+module.exports = {
+  compileGlob,
+  findMatchingGlob
+};
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * On-disk cache of file content hashes
+ *
+ * Entries are keyed by absolute path and are only trusted while the file's
+ * size and modification time match the ones recorded with the hash.
+ */
+
+class HashCache {
+  /**
+   * @param {string} cachePath - Path of the JSON file holding the cache
+   */
+  constructor(cachePath) {
+    this.cachePath = path.resolve(cachePath);
+    this.entries = {};
+    this.loading = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Read the cache file, starting empty if it is missing or unreadable
+   * @returns {Promise<void>}
+   */
+  load() {
+    // Concurrent callers share the same read
+    if (!this.loading) {
+      this.loading = fs.readFile(this.cachePath, 'utf8')
+        .then(text => {
+          const data = JSON.parse(text);
+          if (data && data.version === 1 && data.entries) {
+            this.entries = data.entries;
+          }
+        })
+        .catch(() => {
+          // No usable cache yet, every file gets hashed
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get the cached hash of a file
+   * @param {string} filePath - Absolute file path
+   * @param {fs.Stats} stat - Current stats of the file
+   * @returns {string|null} - Cached hash, or null if missing or stale
+   */
+  get(filePath, stat) {
+    const entry = this.entries[filePath];
+    if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtime.getTime()) {
+      return entry.hash;
+    }
+    return null;
+  }
+
+  /**
+   * Record the hash of a file
+   * @param {string} filePath - Absolute file path
+   * @param {fs.Stats} stat - Stats the hash was computed for
+   * @param {string} hash - Content hash
+   */
+  set(filePath, stat, hash) {
+    this.entries[filePath] = { size: stat.size, mtimeMs: stat.mtime.getTime(), hash };
+    this.dirty = true;
+  }
+
+  /**
+   * Forget a file, e.g. after it was deleted
+   * @param {string} filePath - Absolute file path
+   */
+  delete(filePath) {
+    if (this.entries[filePath]) {
+      delete this.entries[filePath];
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Forget every file below a directory, e.g. a temporary one that is going away
+   * @param {string} dirPath - Absolute directory path
+   */
+  deleteUnder(dirPath) {
+    const prefix = `${dirPath}${path.sep}`;
+    for (const filePath of Object.keys(this.entries)) {
+      if (filePath.startsWith(prefix)) this.delete(filePath);
+    }
+  }
+
+  /**
+   * Write the cache file if anything changed
+   */
+  async save() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+    await fs.writeFile(this.cachePath, JSON.stringify({ version: 1, entries: this.entries }));
+    this.dirty = false;
+  }
+}
+
+module.exports = HashCache;
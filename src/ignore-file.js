@@ -0,0 +1,54 @@
+/**
+ * Parsing of .gitignore-style pattern files
+ *
+ * One glob pattern per line. Blank lines and lines starting with `#` are
+ * ignored, `\#` starts a pattern with a literal `#`, and trailing spaces are
+ * trimmed. Patterns from a nested file apply to its own directory only.
+ */
+
+/**
+ * Parse the text of an ignore file into patterns
+ * @param {string} text - File content
+ * @returns {string[]} - Patterns in file order
+ */
+function parseIgnoreFile(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => line !== '' && !line.startsWith('#'))
+    .map(line => (line.startsWith('\\#') ? line.slice(1) : line));
+}
+
+/**
+ * Escape glob metacharacters in a literal path
+ * @param {string} literal - Literal path
+ * @returns {string} - Glob matching exactly that path
+ */
+function escapeGlob(literal) {
+  return literal.replace(/[*?[{]/g, '[$&]');
+}
+
+/**
+ * Rewrite a pattern from an ignore file so it applies relative to the sync root
+ * @param {string} pattern - Pattern as written in the ignore file
+ * @param {string} relativeDir - Directory holding the ignore file, relative to the root ('' for the root)
+ * @returns {string} - Root-relative pattern
+ */
+function scopePattern(pattern, relativeDir) {
+  const dir = relativeDir.replace(/\\/g, '/');
+  if (!dir) return pattern;
+
+  const negated = pattern.startsWith('!');
+  let glob = negated ? pattern.slice(1) : pattern;
+
+  // Unanchored patterns match at any depth below the ignore file's directory
+  const anchored = glob.replace(/\/$/, '').includes('/');
+  glob = anchored ? glob.replace(/^\//, '') : `**/${glob}`;
+
+  return `${negated ? '!' : ''}/${escapeGlob(dir)}/${glob}`;
+}
+
+module.exports = {
+  parseIgnoreFile,
+  scopePattern
+};
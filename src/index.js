@@ -1,66 +1,243 @@
 const fs = require('fs').promises;
+const { watch: fsWatch } = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const Backup = require('./backup');
+const HashCache = require('./hash-cache');
+const { findMatchingGlob } = require('./glob');
+const { parseIgnoreFile, scopePattern } = require('./ignore-file');
+const { createLimiter, mapLimit } = require('./limit');
+const SyncState = require('./sync-state');
+const { validateTransforms, matchTransforms, transformsContent, renamePath, transformContent } = require('./transform');
+const { isArchive, extractTar, createTar } = require('./tar');
+const { parseSize, parseTime, resolveTime } = require('./filter');
+const Journal = require('./journal');
+const { nodeFileSystem, withDefaults } = require('./fs-adapter');
+const MemoryFileSystem = require('./memory-fs');
+
+const COMPARE_MODES = ['mtime-size', 'checksum', 'size-only'];
+const SYMLINK_MODES = ['skip', 'preserve', 'follow'];
+const CONFLICT_POLICIES = ['newer-wins', 'source-wins', 'keep-both'];
+const PRESERVE_OPTIONS = ['mode', 'times', 'ownership', 'emptyDirs'];
+const ERROR_POLICIES = ['fail-fast', 'continue'];
+// Error codes worth retrying, as whatever holds the file may soon let go of it
+const TRANSIENT_ERRORS = ['EBUSY', 'EAGAIN', 'EMFILE', 'ENFILE'];
+const STATE_FILE_NAME = '.idasync-state.json';
+const CONFLICT_SUFFIX = '.conflict';
+
+const pipelineAsync = promisify(pipeline);
 
 /**
  * idasync - A cross-platform folder synchronization utility
  * 
  * Features:
- * - Syncs from source to destination (left to right only)
+ * - Syncs from source to destination, or both ways with conflict detection
+ * - Overlays several sources in priority order onto one destination
+ * - Transforms and renames files as they are copied
+ * - Reads from and writes to .tar and .tar.gz archives as well as directories
  * - Copies new/modified files from source to destination
  * - Deletes files from destination that don't exist in source
  * - Supports copy exclusion patterns
- * - Supports delete exclusion patterns
+ * - Supports delete exclusion patterns with full glob syntax
+ * - Reads patterns from .gitignore-style ignore and protect files, including nested ones
+ * - Plans every change up front so it can be reviewed before applying
+ * - Watches the source and syncs only what changed
+ * - Compares files by mtime and size, size only, or content checksum
+ * - Skips, preserves or follows symlinks
+ * - Optionally preserves modes, directory times, ownership and empty directories
+ * - Compares, copies and deletes files in parallel
+ * - Emits progress events and logs through a replaceable logger
+ * - Moves deleted and overwritten files into restorable backups
+ * - Writes files atomically, and optionally journals a sync to roll it back on failure
+ * - Optionally detects renamed files and moves them in the destination instead of copying them again
+ * - Stops at the first failure, or carries on and reports every failed file; retries transient errors
+ * - Reads and writes through pluggable file system adapters, including an in-memory one
+ *
+ * Events:
+ * - `scan` ({path, kind}): A source entry was found
+ * - `compare` ({path, reason}): A source file was compared, `reason` is null when unchanged
+ * - `start` ({copy, delete, rmdir, skip, bytes}): `apply()` is about to run, with totals
+ * - `copy:start`, `copy:end` ({path, bytes}): A file or link is being copied
+ * - `copy:progress` ({path, bytesCopied, bytes}): Bytes written so far for a file
+ * - `delete`, `rmdir` ({path}): A file or link was deleted, a directory removed
+ * - `rename` ({path, from}): A destination file was renamed to match the source (`detectRenames`)
+ * - `mkdir` ({path}): An empty directory was created (`preserve` with `emptyDirs`)
+ * - `metadata` ({path, reason}): Metadata was updated without copying content (`preserve`)
+ * - `skip` ({path, reason}): A plan entry was skipped
+ * - `conflict` ({path, reason}): A conflict was resolved (bidirectional mode)
+ * - `error` ({error, path, type}): An action failed; the error is still thrown unless the error policy is `continue`
+ * - `done` (result): `apply()` finished
  */
 
-class IdaSync {
+class IdaSync extends EventEmitter {
   constructor(options = {}) {
+    super();
+    
     this.copyExclusions = options.copyExclusions || [];
     this.deleteExclusions = options.deleteExclusions || [];
+    this.includes = options.includes || [];
+    this.minSize = parseSize(options.minSize, 'minSize');
+    this.maxSize = parseSize(options.maxSize, 'maxSize');
+    this.newerThan = parseTime(options.newerThan, 'newerThan');
+    this.olderThan = parseTime(options.olderThan, 'olderThan');
+    this.ignoreFiles = options.ignoreFiles || [];
+    this.protectFiles = options.protectFiles || [];
+    this.ignoreFileName = options.ignoreFileName !== undefined ? options.ignoreFileName : '.idasyncignore';
+    this.protectFileName = options.protectFileName !== undefined ? options.protectFileName : '.idasyncprotect';
+    this.caseSensitive = options.caseSensitive || false;
+    this.symlinks = options.symlinks || 'skip';
+    this.jobs = options.jobs !== undefined ? options.jobs : 8;
     this.verbose = options.verbose || false;
+    this.logger = options.logger || console;
+    this.watchDebounce = options.watchDebounce !== undefined ? options.watchDebounce : 100;
+    this.compareMode = options.compare || 'mtime-size';
+    this.modifyWindow = options.modifyWindow !== undefined ? options.modifyWindow : 0;
+    this.update = options.update || false;
+    this.ignoreExisting = options.ignoreExisting || false;
+    this.existing = options.existing || false;
+    this.detectRenames = options.detectRenames || false;
+    this.hashCache = options.hashCache ? new HashCache(options.hashCache) : null;
+    this.backupDir = options.backupDir ? path.resolve(options.backupDir) : null;
+    this.keepBackups = options.keepBackups;
+    this.bidirectional = options.bidirectional || false;
+    this.conflicts = options.conflicts || 'newer-wins';
+    this.stateFile = options.stateFile ? path.resolve(options.stateFile) : null;
+    this.transforms = validateTransforms(options.transforms || []);
+    this.preserve = options.preserve === true ? [...PRESERVE_OPTIONS] : options.preserve || [];
+    this.transactional = options.transactional || false;
+    this.errorPolicy = options.errorPolicy || 'fail-fast';
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 100;
+    this.sourceFs = withDefaults(options.sourceFs || nodeFileSystem);
+    this.destinationFs = options.destinationFs === options.sourceFs
+      ? this.sourceFs
+      : withDefaults(options.destinationFs || nodeFileSystem);
+    this.localSource = !options.sourceFs || options.sourceFs === nodeFileSystem;
+    this.localDestination = !options.destinationFs || options.destinationFs === nodeFileSystem;
+    
+    if (!COMPARE_MODES.includes(this.compareMode)) {
+      throw new Error(`Unknown compare mode: ${this.compareMode} (expected one of ${COMPARE_MODES.join(', ')})`);
+    }
+    if (typeof this.modifyWindow !== 'number' || !(this.modifyWindow >= 0)) {
+      throw new Error(`Invalid modifyWindow: ${this.modifyWindow} (expected a non-negative number of seconds)`);
+    }
+    if (this.bidirectional && (this.update || this.ignoreExisting || this.existing)) {
+      throw new Error('The update, ignoreExisting and existing options are not supported in bidirectional mode');
+    }
+    if (this.bidirectional && this.detectRenames) {
+      throw new Error('Rename detection is not supported in bidirectional mode');
+    }
+    if (!Number.isInteger(this.jobs) || this.jobs < 1) {
+      throw new Error(`Invalid jobs: ${this.jobs} (expected a positive integer)`);
+    }
+    if (!SYMLINK_MODES.includes(this.symlinks)) {
+      throw new Error(`Unknown symlinks mode: ${this.symlinks} (expected one of ${SYMLINK_MODES.join(', ')})`);
+    }
+    if (!CONFLICT_POLICIES.includes(this.conflicts)) {
+      throw new Error(`Unknown conflict policy: ${this.conflicts} (expected one of ${CONFLICT_POLICIES.join(', ')})`);
+    }
+    if (this.bidirectional && this.transforms.length > 0) {
+      throw new Error('Transforms are not supported in bidirectional mode');
+    }
+    if (this.bidirectional && this.symlinks === 'preserve') {
+      throw new Error('The preserve symlinks mode is not supported in bidirectional mode');
+    }
+    if (!Array.isArray(this.preserve)) {
+      throw new Error(`Invalid preserve: ${this.preserve} (expected true or a list of ${PRESERVE_OPTIONS.join(', ')})`);
+    }
+    const unknownPreserve = this.preserve.find(aspect => !PRESERVE_OPTIONS.includes(aspect));
+    if (unknownPreserve !== undefined) {
+      throw new Error(`Unknown preserve option: ${unknownPreserve} (expected one of ${PRESERVE_OPTIONS.join(', ')})`);
+    }
+    if (this.bidirectional && this.preserve.length > 0) {
+      throw new Error('The preserve option is not supported in bidirectional mode');
+    }
+    if (!Array.isArray(this.includes)) {
+      throw new Error('Invalid includes: expected a list of patterns');
+    }
+    if (this.minSize !== null && this.maxSize !== null && this.minSize > this.maxSize) {
+      throw new Error(`Invalid size range: minSize ${this.minSize} is larger than maxSize ${this.maxSize}`);
+    }
+    if (this.bidirectional && (this.includes.length > 0 || this.minSize !== null || this.maxSize !== null ||
+        this.newerThan || this.olderThan)) {
+      throw new Error('Include, size and age filters are not supported in bidirectional mode');
+    }
+    if (!ERROR_POLICIES.includes(this.errorPolicy)) {
+      throw new Error(`Unknown error policy: ${this.errorPolicy} (expected one of ${ERROR_POLICIES.join(', ')})`);
+    }
+    if (this.errorPolicy === 'continue' && this.transactional) {
+      throw new Error('The continue error policy can\'t be combined with transactional mode');
+    }
+    if (!Number.isInteger(this.retries) || this.retries < 0) {
+      throw new Error(`Invalid retries: ${this.retries} (expected a non-negative integer)`);
+    }
+    if (typeof this.retryDelay !== 'number' || !(this.retryDelay >= 0)) {
+      throw new Error(`Invalid retryDelay: ${this.retryDelay} (expected a non-negative number of milliseconds)`);
+    }
+    if (this.bidirectional && this.transactional) {
+      throw new Error('Transactional mode is not supported in bidirectional mode');
+    }
+    if (this.keepBackups !== undefined && (!Number.isInteger(this.keepBackups) || this.keepBackups < 1)) {
+      throw new Error(`Invalid keepBackups: ${this.keepBackups} (expected a positive integer)`);
+    }
+    if (this.keepBackups !== undefined && !this.backupDir) {
+      throw new Error('keepBackups needs a backupDir');
+    }
+    if (!this.localDestination && (this.backupDir || this.transactional)) {
+      throw new Error('Backups and transactional mode need a destination on the local file system');
+    }
+    if (this.bidirectional && !(this.localSource && this.localDestination)) {
+      throw new Error('Bidirectional mode needs both sides on the local file system');
+    }
+    
+    // Only root can give files to another owner, so ownership is ignored for everyone else
+    this.preserveOwnership = this.preserve.includes('ownership') &&
+      typeof process.getuid === 'function' && process.getuid() === 0;
+    this.preserveMetadata = this.preserveOwnership ||
+      this.preserve.includes('mode') || this.preserve.includes('times');
   }
 
   /**
-   * Check if a file matches any of the provided patterns
+   * Check if a file matches the provided patterns
    * @param {string} filePath - The file path to check
-   * @param {string[]} patterns - Array of glob-like patterns
-   * @returns {boolean} - True if the file matches any pattern
-   */
-  matchesPattern(filePath, patterns) {
-    if (!patterns || patterns.length === 0) return false;
-    
-    const fileName = path.basename(filePath);
-    const normalizedPath = filePath.replace(/\\/g, '/'); // Normalize path separators
-    
-    return patterns.some(pattern => {
-      const normalizedPattern = pattern.replace(/\\/g, '/'); // Normalize pattern separators
-      
-      // Helper function to convert glob pattern to regex
-      const escapePattern = (pat) => pat
-        .replace(/\./g, '\\.')
-        .replace(/\*/g, '[^/]*')
-        .replace(/\?/g, '[^/]');
-      
-      let regexPattern;
-      if (normalizedPattern.endsWith('/*')) {
-        // Special case for directory patterns ending with /*
-        // This should match everything recursively under that directory
-        // e.g., "temp/*" matches "temp/file.txt", "temp/sub/file.txt", etc.
-        const dirPattern = normalizedPattern.slice(0, -2); // Remove /*
-        regexPattern = `^${escapePattern(dirPattern)}(/.*)?$`; // Match the directory and anything under it
-      } else {
-        // Regular pattern handling
-        regexPattern = `^${escapePattern(normalizedPattern)}$`;
-      }
-      
-      const regex = new RegExp(regexPattern, 'i');
-      
-      // For patterns with /, match against full path; otherwise match filename only
-      if (pattern.includes('/')) {
-        return regex.test(normalizedPath);
-      } else {
-        return regex.test(fileName);
+   * @param {string[]} patterns - Array of glob patterns
+   * @param {boolean} [isDirectory] - Whether the path is a directory
+   * @returns {boolean} - True if the file is matched after applying negations
+   */
+  matchesPattern(filePath, patterns, isDirectory = false) {
+    return this.findMatchingPattern(filePath, patterns, isDirectory) !== null;
+  }
+
+  /**
+   * Build the include, size and age filter of a plan. Ages are measured from
+   * when it is built, so every file of the plan is held to the same times.
+   * @returns {Object|null} - Filter with `pathReason(relativePath)` and, if `needsStat`,
+   *   `statReason(stat)`, each giving why a file is filtered out or null; null if no filters are set
+   */
+  createFilter() {
+    const now = Date.now();
+    const newerThan = this.newerThan ? resolveTime(this.newerThan, now) : null;
+    const olderThan = this.olderThan ? resolveTime(this.olderThan, now) : null;
+    const needsStat = this.minSize !== null || this.maxSize !== null || newerThan !== null || olderThan !== null;
+    if (this.includes.length === 0 && !needsStat) return null;
+    
+    const formatTime = time => new Date(time).toISOString();
+    return {
+      needsStat,
+      pathReason: relativePath =>
+        (this.includes.length > 0 && !this.matchesPattern(relativePath, this.includes) ? 'not included' : null),
+      statReason: stat => {
+        if (this.minSize !== null && stat.size < this.minSize) return `smaller than ${this.minSize} bytes`;
+        if (this.maxSize !== null && stat.size > this.maxSize) return `larger than ${this.maxSize} bytes`;
+        if (newerThan !== null && stat.mtime.getTime() <= newerThan) return `not modified since ${formatTime(newerThan)}`;
+        if (olderThan !== null && stat.mtime.getTime() >= olderThan) return `modified since ${formatTime(olderThan)}`;
+        return null;
       }
-    });
+    };
   }
 
   /**
@@ -70,69 +247,442 @@ class IdaSync {
    * @returns {Promise<string[]>} - Array of relative file paths
    */
   async getFilesRecursively(dirPath, basePath = dirPath) {
-    const files = [];
+    return (await this.scanTree(dirPath, basePath)).files;
+  }
+
+  /**
+   * Walk a directory tree and sort its entries into files, directories and symlinks
+   * @param {string} dirPath - Directory path
+   * @param {string} basePath - Base path for relative paths
+   * @param {boolean} [followLinks] - Walk through symlinks as if they were their targets
+   * @param {Object} [fileSystem] - File system adapter to read (default: the source's)
+   * @returns {Promise<Object>} - Relative `files`, `dirs` and `links`, plus `unfollowed` links with a reason
+   */
+  async scanTree(dirPath, basePath = dirPath, followLinks = false, fileSystem = this.sourceFs) {
+    const tree = { files: [], dirs: [], links: [], unfollowed: [] };
+    const startPath = path.relative(basePath, dirPath);
+    
+    for await (const entry of this.walk(dirPath, basePath, { followLinks, fileSystem })) {
+      if (entry.kind === 'dir') {
+        if (entry.path !== startPath) tree.dirs.push(entry.path);
+      } else if (entry.kind === 'unfollowed') {
+        tree.unfollowed.push({ path: entry.path, reason: entry.reason });
+      } else {
+        tree[`${entry.kind}s`].push(entry.path);
+      }
+    }
+    
+    return tree;
+  }
+
+  /**
+   * Stream the entries of a directory tree, depth first in name order.
+   * Every directory, including the starting one, is yielded before its content.
+   * @param {string} dirPath - Directory path
+   * @param {string} basePath - Base path for relative paths
+   * @param {Object} [options] - `followLinks` to walk through symlinks, `markers`, names of
+   *   files whose presence is reported on each directory entry, and the `fileSystem` adapter
+   *   to read (default: the source's)
+   * @returns {AsyncGenerator<Object>} - Entries with `kind` (`dir`, `file`, `link` or `unfollowed`),
+   *   relative `path`, `markers` for directories and `reason` for unfollowed links
+   */
+  async *walk(dirPath, basePath = dirPath, options = {}) {
+    const followLinks = options.followLinks || false;
+    const markers = options.markers || [];
+    const fileSystem = options.fileSystem || this.sourceFs;
+    const ancestors = followLinks
+      ? new Set([await fileSystem.realpath(dirPath).catch(() => path.resolve(dirPath))])
+      : null;
     
+    yield* this.walkDirectory(fileSystem, dirPath, basePath, followLinks, markers, ancestors);
+  }
+
+  /**
+   * Recursive part of `walk()`
+   * @param {Object} fileSystem - File system adapter to read
+   * @param {string} dirPath - Directory path
+   * @param {string} basePath - Base path for relative paths
+   * @param {boolean} followLinks - Walk through symlinks as if they were their targets
+   * @param {string[]} markers - File names to report on directory entries
+   * @param {Set<string>|null} ancestors - Real paths of the directories above, for cycle detection
+   * @returns {AsyncGenerator<Object>} - Entries as described in `walk()`
+   */
+  async *walkDirectory(fileSystem, dirPath, basePath, followLinks, markers, ancestors) {
+    let entries;
     try {
-      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      entries = await fileSystem.readdir(dirPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    
+    const names = new Set(entries.filter(entry => entry.isFile()).map(entry => entry.name));
+    yield { kind: 'dir', path: path.relative(basePath, dirPath), markers: markers.filter(name => names.has(name)) };
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(basePath, fullPath);
       
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-        const relativePath = path.relative(basePath, fullPath);
+      if (entry.isSymbolicLink()) {
+        if (!followLinks) {
+          yield { kind: 'link', path: relativePath };
+          continue;
+        }
+        
+        let stat;
+        try {
+          stat = await fileSystem.stat(fullPath);
+        } catch (error) {
+          yield { kind: 'unfollowed', path: relativePath, reason: 'broken symlink' };
+          continue;
+        }
         
-        if (entry.isDirectory()) {
-          const subFiles = await this.getFilesRecursively(fullPath, basePath);
-          files.push(...subFiles);
-        } else if (entry.isFile()) {
-          files.push(relativePath);
+        if (stat.isFile()) {
+          yield { kind: 'file', path: relativePath };
+        } else if (stat.isDirectory()) {
+          const realPath = await fileSystem.realpath(fullPath);
+          if (ancestors.has(realPath)) {
+            yield { kind: 'unfollowed', path: relativePath, reason: 'symlink cycle' };
+            continue;
+          }
+          yield* this.walkDirectory(fileSystem, fullPath, basePath, true, markers, new Set([...ancestors, realPath]));
         }
+      } else if (entry.isDirectory()) {
+        const subAncestors = followLinks ? new Set([...ancestors, await fileSystem.realpath(fullPath)]) : null;
+        yield* this.walkDirectory(fileSystem, fullPath, basePath, followLinks, markers, subAncestors);
+      } else if (entry.isFile()) {
+        yield { kind: 'file', path: relativePath };
       }
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
+    }
+  }
+
+  /**
+   * Check whether two modification times match, within the `modifyWindow`
+   * @param {fs.Stats} sourceStat - Source stats
+   * @param {fs.Stats} destStat - Destination stats
+   * @returns {boolean} - True if the times are close enough to count as the same
+   */
+  sameMtime(sourceStat, destStat) {
+    return Math.abs(sourceStat.mtime.getTime() - destStat.mtime.getTime()) <= this.modifyWindow * 1000;
+  }
+
+  /**
+   * Compare two files and describe how they differ
+   * @param {string} sourcePath - Source file path
+   * @param {string} destPath - Destination file path
+   * @returns {Promise<string|null>} - Reason the files differ, or null if they match
+   */
+  async compareFiles(sourcePath, destPath) {
+    const [sourceStat, destStat] = await Promise.all([
+      this.sourceFs.stat(sourcePath),
+      this.destinationFs.stat(destPath).catch(error => {
+        // Missing, or a file stands where a parent directory should be
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
         throw error;
-      }
+      })
+    ]);
+    
+    // If destination doesn't exist, the file is new
+    if (!destStat) {
+      return 'new';
+    }
+    if (destStat.isDirectory()) {
+      return 'type differs';
     }
     
-    return files;
+    // Compare size first, then content or modification time
+    if (sourceStat.size !== destStat.size) {
+      return 'size differs';
+    }
+    if (this.compareMode === 'checksum') {
+      const [sourceHash, destHash] = await Promise.all([
+        this.hashFile(sourcePath, sourceStat),
+        this.hashFile(destPath, destStat, this.destinationFs)
+      ]);
+      return sourceHash !== destHash ? 'content differs' : null;
+    }
+    if (this.compareMode === 'mtime-size' && !this.sameMtime(sourceStat, destStat)) {
+      return 'mtime differs';
+    }
+    return null;
   }
 
   /**
-   * Check if two files are different
+   * Hash the content of a file, using the hash cache when enabled
+   * @param {string} filePath - File path
+   * @param {fs.Stats} stat - Current stats of the file
+   * @param {Object} [fileSystem] - File system adapter to read (default: the source's)
+   * @returns {Promise<string>} - Hex SHA-256 digest
+   */
+  async hashFile(filePath, stat, fileSystem = this.sourceFs) {
+    const hashCache = this.hashCacheFor(fileSystem);
+    if (hashCache) {
+      await hashCache.load();
+      const cached = hashCache.get(filePath, stat);
+      if (cached) return cached;
+    }
+    
+    const hash = await new Promise((resolve, reject) => {
+      const digest = crypto.createHash('sha256');
+      fileSystem.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => digest.update(chunk))
+        .on('end', () => resolve(digest.digest('hex')));
+    });
+    
+    if (hashCache) {
+      hashCache.set(filePath, stat, hash);
+    }
+    return hash;
+  }
+
+  /**
+   * Get the hash cache for the files of an adapter. Only the local file system
+   * has one, as other adapters can hold different files at the same paths.
+   * @param {Object} fileSystem - File system adapter
+   * @returns {HashCache|null} - Hash cache, or null if the adapter's files aren't cached
+   */
+  hashCacheFor(fileSystem) {
+    const local = fileSystem === this.sourceFs ? this.localSource : fileSystem === this.destinationFs && this.localDestination;
+    return local ? this.hashCache : null;
+  }
+
+  /**
+   * Find the transform rules that apply to a source file
+   * @param {string} relativePath - Path relative to the source
+   * @returns {Object[]} - Matching rules, in order
+   */
+  transformsFor(relativePath) {
+    return this.transforms.length > 0 ? matchTransforms(this.transforms, relativePath, this.caseSensitive) : [];
+  }
+
+  /**
+   * Compare the transformed content of a source file with the destination. In
+   * the default compare mode, a destination with the source's modification time
+   * was written from it and is up to date without transforming it again.
    * @param {string} sourcePath - Source file path
    * @param {string} destPath - Destination file path
-   * @returns {Promise<boolean>} - True if files are different
+   * @param {string} relativePath - Path relative to the source
+   * @param {Object[]} transforms - Matching transform rules
+   * @returns {Promise<string|null>} - `new`, `output differs`, or null if the destination is up to date
    */
-  async filesAreDifferent(sourcePath, destPath) {
-    try {
+  async compareTransformed(sourcePath, destPath, relativePath, transforms) {
+    if (this.compareMode === 'mtime-size') {
       const [sourceStat, destStat] = await Promise.all([
-        fs.stat(sourcePath),
-        fs.stat(destPath)
+        this.sourceFs.stat(sourcePath),
+        this.destinationFs.stat(destPath).catch(() => null)
       ]);
-      
-      // Compare modification time and size
-      return sourceStat.mtime.getTime() !== destStat.mtime.getTime() || 
-             sourceStat.size !== destStat.size;
+      if (destStat && destStat.isFile() && this.sameMtime(sourceStat, destStat)) return null;
+    }
+    
+    let destContent;
+    try {
+      destContent = await this.destinationFs.readFile(destPath);
     } catch (error) {
-      // If destination doesn't exist, files are different
-      return true;
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return 'new';
+      throw error;
+    }
+    
+    const output = await this.transformFile(sourcePath, relativePath, transforms);
+    return Buffer.from(output).equals(destContent) ? null : 'output differs';
+  }
+
+  /**
+   * Read a source file and run its content transforms. Files that aren't UTF-8
+   * text are refused rather than mangled.
+   * @param {string} sourcePath - Source file path
+   * @param {string} relativePath - Path relative to the source
+   * @param {Object[]} transforms - Matching transform rules
+   * @returns {Promise<string>} - Transformed content
+   */
+  async transformFile(sourcePath, relativePath, transforms) {
+    const toPortable = filePath => filePath.split(path.sep).join('/');
+    const buffer = await this.sourceFs.readFile(sourcePath);
+    const content = buffer.toString('utf8');
+    if (!Buffer.from(content, 'utf8').equals(buffer)) {
+      throw new Error(`Cannot transform ${toPortable(relativePath)}: not UTF-8 text`);
+    }
+    return transformContent(transforms, content, {
+      path: toPortable(relativePath),
+      output: toPortable(renamePath(transforms, relativePath))
+    });
+  }
+
+  /**
+   * Write transformed content to the destination, with the source's mode and times
+   * @param {string} sourcePath - Source file path
+   * @param {string} destPath - Destination file path
+   * @param {string} content - Transformed content
+   * @param {string} [tempDir] - Where to write before renaming into place (default: next to the file)
+   */
+  async writeTransformed(sourcePath, destPath, content, tempDir = undefined) {
+    const destFs = this.destinationFs;
+    await destFs.mkdir(path.dirname(destPath), { recursive: true });
+    
+    const sourceStat = await this.sourceFs.stat(sourcePath);
+    await this.writeAtomically(destPath, async tempPath => {
+      await destFs.writeFile(tempPath, content);
+      await destFs.chmod(tempPath, sourceStat.mode & 0o7777);
+      await destFs.utimes(tempPath, sourceStat.atime, sourceStat.mtime);
+    }, tempDir, destFs);
+  }
+
+  /**
+   * Check if two files are different
+   * @param {string} sourcePath - Source file path
+   * @param {string} destPath - Destination file path
+   * @returns {Promise<boolean>} - True if files are different
+   */
+  async filesAreDifferent(sourcePath, destPath) {
+    return (await this.compareFiles(sourcePath, destPath)) !== null;
+  }
+
+  /**
+   * Compare the metadata kept by the `preserve` option
+   * @param {fs.Stats} sourceStat - Source file or directory stats
+   * @param {fs.Stats} destStat - Destination file or directory stats
+   * @returns {string|null} - Reason such as `mode differs` or `mode and mtime differ`, or null if they match
+   */
+  compareMetadata(sourceStat, destStat) {
+    const differences = [];
+    if (this.preserve.includes('mode') && (sourceStat.mode & 0o7777) !== (destStat.mode & 0o7777)) {
+      differences.push('mode');
+    }
+    if (this.preserve.includes('times') && !this.sameMtime(sourceStat, destStat)) {
+      differences.push('mtime');
+    }
+    if (this.preserveOwnership && (sourceStat.uid !== destStat.uid || sourceStat.gid !== destStat.gid)) {
+      differences.push('owner');
+    }
+    
+    if (differences.length === 0) return null;
+    if (differences.length === 1) return `${differences[0]} differs`;
+    return `${differences.slice(0, -1).join(', ')} and ${differences[differences.length - 1]} differ`;
+  }
+
+  /**
+   * Give a destination file or directory the preserved metadata of its source
+   * @param {fs.Stats} sourceStat - Source stats
+   * @param {string} destPath - Destination path
+   */
+  async applyMetadata(sourceStat, destPath) {
+    // Changing the owner can clear setuid bits, so it goes before the mode
+    if (this.preserveOwnership) {
+      await this.destinationFs.chown(destPath, sourceStat.uid, sourceStat.gid);
     }
+    if (this.preserve.includes('mode')) {
+      await this.destinationFs.chmod(destPath, sourceStat.mode & 0o7777);
+    }
+    if (this.preserve.includes('times')) {
+      await this.destinationFs.utimes(destPath, sourceStat.atime, sourceStat.mtime);
+    }
+  }
+
+  /**
+   * Find the pattern that decides whether a file is matched
+   * @param {string} filePath - The file path to check
+   * @param {string[]} patterns - Array of glob patterns
+   * @param {boolean} [isDirectory] - Whether the path is a directory
+   * @returns {string|null} - The last matching pattern, or null if none match or a negation re-included the file
+   */
+  findMatchingPattern(filePath, patterns, isDirectory = false) {
+    return findMatchingGlob(filePath, patterns, { caseSensitive: this.caseSensitive, isDirectory });
   }
 
   /**
    * Copy a file from source to destination
    * @param {string} sourcePath - Source file path
    * @param {string} destPath - Destination file path
+   * @param {Function} [onProgress] - Called with bytes copied so far and the file size
+   * @param {string} [tempDir] - Where to write before renaming into place (default: next to the file)
+   * @param {Object} [readFs] - File system adapter to read (default: the source's)
+   * @param {Object} [writeFs] - File system adapter to write (default: the destination's)
    */
-  async copyFile(sourcePath, destPath) {
+  async copyFile(sourcePath, destPath, onProgress = null, tempDir = undefined,
+    readFs = this.sourceFs, writeFs = this.destinationFs) {
     // Ensure destination directory exists
     const destDir = path.dirname(destPath);
-    await fs.mkdir(destDir, { recursive: true });
+    await writeFs.mkdir(destDir, { recursive: true });
+    
+    const sourceStat = await readFs.stat(sourcePath);
+    
+    await this.writeAtomically(destPath, async tempPath => {
+      // Copy file, streaming it only when someone wants to see the bytes go by
+      // or the bytes have to cross from one file system adapter to another
+      if (onProgress || readFs !== writeFs) {
+        let bytesCopied = 0;
+        const input = readFs.createReadStream(sourcePath).on('data', chunk => {
+          bytesCopied += chunk.length;
+          if (onProgress) onProgress(bytesCopied, sourceStat.size);
+        });
+        await pipelineAsync(input, writeFs.createWriteStream(tempPath));
+        await writeFs.chmod(tempPath, sourceStat.mode & 0o7777);
+      } else {
+        await writeFs.copyFile(sourcePath, tempPath);
+      }
+      
+      // Preserve modification time
+      await writeFs.utimes(tempPath, sourceStat.atime, sourceStat.mtime);
+    }, tempDir, writeFs);
+  }
+
+  /**
+   * Write a file under a temporary name and rename it into place, so the
+   * destination never holds a half-written file. Renaming also replaces a
+   * symlink at the destination instead of writing through it.
+   * @param {string} destPath - Final file path
+   * @param {Function} write - Writes the file at the temporary path it is given
+   * @param {string} [tempDir] - Directory for the temporary file, on the same file system (default: next to the file)
+   * @param {Object} [writeFs] - File system adapter to write (default: the destination's)
+   */
+  async writeAtomically(destPath, write, tempDir = path.dirname(destPath), writeFs = this.destinationFs) {
+    const tempPath = path.join(tempDir, `.${path.basename(destPath)}.${crypto.randomBytes(6).toString('hex')}.idasync-tmp`);
+    try {
+      await write(tempPath);
+      await writeFs.rename(tempPath, destPath);
+    } catch (error) {
+      await writeFs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Create a symlink in the destination, replacing whatever is there
+   * @param {string} target - Link target
+   * @param {string} sourcePath - Source link path, used to pick the link type on Windows
+   * @param {string} destPath - Destination link path
+   * @param {Object} [readFs] - File system adapter of the source link (default: the source's)
+   */
+  async createSymlink(target, sourcePath, destPath, readFs = this.sourceFs) {
+    const destFs = this.destinationFs;
+    await destFs.mkdir(path.dirname(destPath), { recursive: true });
+    
+    try {
+      await destFs.unlink(destPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
     
-    // Copy file
-    await fs.copyFile(sourcePath, destPath);
+    const targetStat = await readFs.stat(sourcePath).catch(() => null);
+    await destFs.symlink(target, destPath, targetStat && targetStat.isDirectory() ? 'dir' : 'file');
+  }
+
+  /**
+   * Record the source hash for its fresh copy, so the next run doesn't rehash it
+   * @param {string} sourcePath - Source file path
+   * @param {string} destPath - Destination file path
+   */
+  async rememberCopiedHash(sourcePath, destPath) {
+    const hashCache = this.hashCacheFor(this.destinationFs);
+    if (!hashCache || this.compareMode !== 'checksum') return;
     
-    // Preserve modification time
-    const sourceStat = await fs.stat(sourcePath);
-    await fs.utimes(destPath, sourceStat.atime, sourceStat.mtime);
+    const [sourceStat, destStat] = await Promise.all([this.sourceFs.stat(sourcePath), this.destinationFs.stat(destPath)]);
+    hashCache.set(destPath, destStat, await this.hashFile(sourcePath, sourceStat));
   }
 
   /**
@@ -141,155 +691,1880 @@ class IdaSync {
    */
   log(message) {
     if (this.verbose) {
-      console.log(`[idasync] ${message}`);
+      this.logger.info(`[idasync] ${message}`);
     }
   }
 
   /**
-   * Synchronize source directory to destination directory
-   * @param {string} source - Source directory path
+   * Build a sync plan without modifying the source or destination. Hashes are
+   * kept in memory until `apply()` saves the hash cache; archives are extracted
+   * to temporary directories that are removed afterwards.
+   * @param {string|string[]} source - Source directory path, or several in priority order (later ones win)
    * @param {string} destination - Destination directory path
+   * @returns {Promise<Object>} - Plan with the list of actions `apply()` would perform
    */
-  async sync(source, destination) {
-    const sourceAbs = path.resolve(source);
+  async plan(source, destination) {
     const destAbs = path.resolve(destination);
     
-    this.log(`Syncing from ${sourceAbs} to ${destAbs}`);
-    
-    // Ensure source exists
-    try {
-      await fs.access(sourceAbs);
-    } catch (error) {
-      console.warn(`Source directory does not exist: ${sourceAbs}`);
-      return {copied: 0, deleted: 0, skipped: 0};
+    if ([].concat(source, destination).some(isArchive)) {
+      return this.planArchives(source, destination);
     }
     
-    // Create destination if it doesn't exist
-    await fs.mkdir(destAbs, { recursive: true });
-    
-    // Get all files from source and destination
-    const [sourceFiles, destFiles] = await Promise.all([
-      this.getFilesRecursively(sourceAbs),
-      this.getFilesRecursively(destAbs)
-    ]);
-    
-    let copiedCount = 0;
-    let deletedCount = 0;
-    let skippedCount = 0;
+    if (this.localDestination && await Journal.exists(destAbs)) {
+      this.logger.warn(`An interrupted sync of ${destAbs} will be rolled back before the next one`);
+    }
     
-    // Copy files from source to destination
-    for (const relativeFile of sourceFiles) {
-      const sourcePath = path.join(sourceAbs, relativeFile);
-      const destPath = path.join(destAbs, relativeFile);
-      
-      // Skip if file matches copy exclusion pattern
-      if (this.matchesPattern(relativeFile, this.copyExclusions)) {
-        this.log(`Skipping copy (excluded): ${relativeFile}`);
-        skippedCount++;
-        continue;
+    if (Array.isArray(source)) {
+      if (source.length === 0) {
+        throw new Error('No source given');
       }
-      
-      // Check if file needs to be copied
-      if (await this.filesAreDifferent(sourcePath, destPath)) {
-        await this.copyFile(sourcePath, destPath);
-        this.log(`Copied: ${relativeFile}`);
-        copiedCount++;
+      if (source.length > 1) {
+        return this.planOverlay(source.map(sourcePath => path.resolve(sourcePath)), destAbs);
       }
+      source = source[0];
     }
     
-    // Delete files from destination that don't exist in source
-    const sourceFileSet = new Set(sourceFiles);
-    for (const relativeFile of destFiles) {
-      if (!sourceFileSet.has(relativeFile)) {
-        // Skip if file matches delete exclusion pattern
-        if (this.matchesPattern(relativeFile, this.deleteExclusions)) {
-          this.log(`Skipping delete (excluded): ${relativeFile}`);
-          continue;
-        }
-        
-        const destPath = path.join(destAbs, relativeFile);
-        await fs.unlink(destPath);
-        this.log(`Deleted: ${relativeFile}`);
-        deletedCount++;
+    const sourceAbs = path.resolve(source);
+    
+    // Ensure source exists
+    try {
+      await this.sourceFs.stat(sourceAbs);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
       }
+      this.logger.warn(`Source directory does not exist: ${sourceAbs}`);
+      return { source: sourceAbs, destination: destAbs, sourceMissing: true, actions: [] };
     }
     
-    // Clean up empty directories in destination
-    await this.cleanupEmptyDirectories(destAbs, sourceAbs);
+    if (this.bidirectional) {
+      return this.planBidirectional(sourceAbs, destAbs);
+    }
     
-    this.log(`Sync complete: ${copiedCount} copied, ${deletedCount} deleted, ${skippedCount} skipped`);
+    // The destination is scanned up front, links in it are never followed.
+    // The source is streamed, so comparing starts while it is still being walked.
+    const [destTree, rules] = await Promise.all([
+      this.scanTree(destAbs, destAbs, false, this.destinationFs),
+      this.loadBaseRules()
+    ]);
+    const sourceEntries = this.walk(sourceAbs, sourceAbs, {
+      followLinks: this.symlinks === 'follow',
+      markers: [this.ignoreFileName, this.protectFileName].filter(Boolean)
+    });
     
-    return {
-      copied: copiedCount,
-      deleted: deletedCount,
-      skipped: skippedCount
-    };
+    const actions = await this.planActions(sourceAbs, destAbs, sourceEntries, destTree, rules);
+    return { source: sourceAbs, destination: destAbs, actions };
   }
 
   /**
-   * Remove empty directories from destination that don't exist in source
-   * @param {string} destAbs - Absolute destination path
-   * @param {string} sourceAbs - Absolute source path
+   * Plan a sync where the source or destination is a tar archive. Archives are
+   * extracted to temporary directories and planned like directories; the plan
+   * keeps the archive paths and `apply()` extracts them again.
+   * @param {string|string[]} source - Source path(s)
+   * @param {string} destination - Destination path
+   * @returns {Promise<Object>} - Plan with `archives: true`
    */
-  async cleanupEmptyDirectories(destAbs, sourceAbs) {
-    const destDirs = await this.getDirectoriesRecursively(destAbs);
-    
-    // Sort by depth (deepest first) to remove child directories before parents
-    destDirs.sort((a, b) => b.split(path.sep).length - a.split(path.sep).length);
+  async planArchives(source, destination) {
+    if (this.bidirectional) {
+      throw new Error('Archives are not supported in bidirectional mode');
+    }
+    if (this.backupDir && isArchive(destination)) {
+      throw new Error('Backups are not supported with an archive destination');
+    }
     
-    for (const relativeDir of destDirs) {
-      const destDirPath = path.join(destAbs, relativeDir);
-      const sourceDirPath = path.join(sourceAbs, relativeDir);
+    return this.withArchives(source, destination, async (workSource, workDest, workDirs) => {
+      const plan = await this.plan(workSource, workDest);
+      const archiveOf = new Map([...workDirs].map(([archivePath, dir]) => [dir, archivePath]));
+      const sources = [].concat(source).map(sourcePath => path.resolve(sourcePath));
       
-      try {
-        // Check if directory exists in source
-        await fs.access(sourceDirPath);
-      } catch (error) {
-        // Directory doesn't exist in source, check if it's empty and remove
-        try {
-          const entries = await fs.readdir(destDirPath);
-          if (entries.length === 0) {
-            await fs.rmdir(destDirPath);
-            this.log(`Removed empty directory: ${relativeDir}`);
-          }
-        } catch (error) {
-          // Directory might already be removed or not accessible
-        }
-      }
-    }
+      return {
+        ...plan,
+        ...(plan.sources ? { sources } : { source: sources[0] }),
+        destination: path.resolve(destination),
+        archives: true,
+        actions: plan.actions.map(action =>
+          (action.source ? { ...action, source: archiveOf.get(action.source) || action.source } : action)
+        )
+      };
+    });
   }
 
   /**
-   * Get all directories recursively from a directory
-   * @param {string} dirPath - Directory path
-   * @param {string} basePath - Base path for relative paths
-   * @returns {Promise<string[]>} - Array of relative directory paths
+   * Perform a plan made by `planArchives()`, writing the destination archive
+   * if anything changed or it doesn't exist yet
+   * @param {Object} plan - Plan with `archives: true`
+   * @returns {Promise<Object>} - Same result as `apply()`
    */
-  async getDirectoriesRecursively(dirPath, basePath = dirPath) {
-    const directories = [];
+  async applyArchives(plan) {
+    if (plan.sourceMissing) {
+      return this.apply({ ...plan, archives: false });
+    }
     
-    try {
-      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const startTime = Date.now();
+    const result = await this.withArchives(plan.sources || plan.source, plan.destination, async (workSource, workDest, workDirs) => {
+      const counts = await this.apply({
+        ...plan,
+        ...(plan.sources ? { sources: workSource } : { source: workSource }),
+        destination: workDest,
+        archives: false,
+        actions: plan.actions.map(action =>
+          (action.source ? { ...action, source: workDirs.get(action.source) || action.source } : action)
+        )
+      });
       
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const fullPath = path.join(dirPath, entry.name);
-          const relativePath = path.relative(basePath, fullPath);
-          
-          directories.push(relativePath);
-          
-          const subDirectories = await this.getDirectoriesRecursively(fullPath, basePath);
-          directories.push(...subDirectories);
+      const changed = plan.actions.some(action => action.type !== 'skip');
+      const exists = await fs.access(plan.destination).then(() => true, () => false);
+      if (isArchive(plan.destination) && (changed || !exists)) {
+        await createTar(workDest, plan.destination);
+        this.log(`Wrote archive: ${plan.destination}`);
+      }
+      counts.elapsed = Date.now() - startTime;
+      return counts;
+    });
+    
+    // Saved again now that the hashes of the temporary directories are dropped
+    if (this.hashCache) await this.hashCache.save();
+    return result;
+  }
+
+  /**
+   * Run a function with archive paths swapped for temporary directories holding
+   * their content. A missing destination archive gives an empty directory; a
+   * missing source archive is passed on as it is, for `plan()` to report.
+   * @param {string|string[]} source - Source path(s)
+   * @param {string} destination - Destination path
+   * @param {Function} fn - Called with the source(s), the destination and a map of archive paths to their directories
+   * @returns {Promise<*>} - Result of `fn`
+   */
+  async withArchives(source, destination, fn) {
+    if (!this.localSource || !this.localDestination) {
+      throw new Error('Archives are only supported on the local file system');
+    }
+    
+    const workDirs = new Map();
+    const extract = async archivePath => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'idasync-'));
+      workDirs.set(archivePath, dir);
+      try {
+        await extractTar(archivePath, dir);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      return dir;
+    };
+    
+    try {
+      const workSources = [];
+      for (const sourcePath of [].concat(source).map(filePath => path.resolve(filePath))) {
+        const extractable = isArchive(sourcePath) && await fs.access(sourcePath).then(() => true, () => false);
+        workSources.push(extractable ? await extract(sourcePath) : sourcePath);
+      }
+      
+      const destAbs = path.resolve(destination);
+      const workDest = isArchive(destAbs) ? await extract(destAbs) : destAbs;
+      
+      return await fn(Array.isArray(source) ? workSources : workSources[0], workDest, workDirs);
+    } finally {
+      if (this.hashCache) {
+        [...workDirs.values()].forEach(dir => this.hashCache.deleteUnder(dir));
+      }
+      for (const dir of workDirs.values()) {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Plan a sync of several sources layered onto one destination. A file in a
+   * later source replaces the same path from earlier ones; the destination
+   * keeps everything found in any source.
+   * @param {string[]} sourcesAbs - Absolute source paths in priority order
+   * @param {string} destAbs - Absolute destination path
+   * @returns {Promise<Object>} - Plan with `sources` instead of `source`; copies and skips
+   *   carry the `source` they come from
+   */
+  async planOverlay(sourcesAbs, destAbs) {
+    if (this.bidirectional) {
+      throw new Error('Bidirectional mode takes a single source');
+    }
+    
+    for (const sourceAbs of sourcesAbs) {
+      try {
+        await this.sourceFs.stat(sourceAbs);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        // Going ahead would delete everything that source provides
+        this.logger.warn(`Source directory does not exist: ${sourceAbs}`);
+        return { sources: sourcesAbs, destination: destAbs, sourceMissing: true, actions: [] };
+      }
+    }
+    
+    const [destTree, rules, sourceEntries] = await Promise.all([
+      this.scanTree(destAbs, destAbs, false, this.destinationFs),
+      this.loadBaseRules(),
+      this.overlayEntries(sourcesAbs)
+    ]);
+    
+    const actions = await this.planActions(sourcesAbs[0], destAbs, sourceEntries, destTree, rules);
+    return { sources: sourcesAbs, destination: destAbs, actions };
+  }
+
+  /**
+   * Merge the entries of several sources, in the order `walk()` would yield them
+   * for a single tree. Each entry gets the `root` of the source it comes from.
+   * A path that is a directory in one source and a file in a later one takes the
+   * later kind, dropping what the earlier directory held.
+   * @param {string[]} sourcesAbs - Absolute source paths in priority order
+   * @returns {Promise<Object[]>} - Merged entries; directory entries carry `markers`
+   *   and `markerRoots`, the source each ignore or protect file comes from. The `root`
+   *   of a directory is the last source that has it.
+   */
+  async overlayEntries(sourcesAbs) {
+    const followLinks = this.symlinks === 'follow';
+    const merged = new Map();
+    
+    for (const root of sourcesAbs) {
+      for await (const entry of this.walk(root, root, { followLinks })) {
+        const existing = merged.get(entry.path);
+        if (existing && existing.kind === 'dir') {
+          if (entry.kind === 'dir') {
+            // Directory metadata comes from the last source that has it
+            existing.root = root;
+            continue;
+          }
+          const prefix = `${entry.path}${path.sep}`;
+          for (const key of merged.keys()) {
+            if (key.startsWith(prefix)) merged.delete(key);
+          }
+        }
+        merged.set(entry.path, entry.kind === 'dir' ? { kind: 'dir', path: entry.path, root, markers: [], markerRoots: {} } : { ...entry, root });
+      }
+    }
+    
+    // Ignore and protect files are taken from whichever source wins their path
+    const markers = [this.ignoreFileName, this.protectFileName].filter(Boolean);
+    for (const entry of merged.values()) {
+      if (entry.kind !== 'file' || !markers.includes(path.basename(entry.path))) continue;
+      const dir = merged.get(path.dirname(entry.path) === '.' ? '' : path.dirname(entry.path));
+      dir.markers.push(path.basename(entry.path));
+      dir.markerRoots[path.basename(entry.path)] = entry.root;
+    }
+    
+    const segments = new Map([...merged.keys()].map(key => [key, key.split(path.sep)]));
+    return [...merged.values()].sort((a, b) => {
+      const [aParts, bParts] = [segments.get(a.path), segments.get(b.path)];
+      for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+        if (aParts[i] !== bParts[i]) return aParts[i] < bParts[i] ? -1 : 1;
+      }
+      return aParts.length - bParts.length;
+    });
+  }
+
+  /**
+   * Combine the exclusion options with patterns from explicit `--ignore-file`/`--protect-file` files,
+   * read through the source's file system adapter
+   * @returns {Promise<{copyExclusions: string[], deleteExclusions: string[]}>} - Patterns before nested files
+   */
+  async loadBaseRules() {
+    const load = async (explicitFiles, basePatterns) => {
+      const patterns = [...basePatterns];
+      for (const filePath of explicitFiles) {
+        patterns.push(...parseIgnoreFile(await this.sourceFs.readFile(path.resolve(filePath), 'utf8')));
+      }
+      return patterns;
+    };
+    
+    const [copyExclusions, deleteExclusions] = await Promise.all([
+      load(this.ignoreFiles, this.copyExclusions),
+      load(this.protectFiles, this.deleteExclusions)
+    ]);
+    return { copyExclusions, deleteExclusions };
+  }
+
+  /**
+   * Append the patterns of the ignore and protect files in one source directory
+   * @param {Object} rules - Rules to extend, as returned by `loadBaseRules()`
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} relativeDir - Directory relative to the source ('' for the root)
+   * @param {Object} [markerRoots] - For overlays, the source to read each file name from; other files are not read
+   */
+  async addNestedRules(rules, sourceAbs, relativeDir, markerRoots = null) {
+    const files = [
+      [this.ignoreFileName, rules.copyExclusions],
+      [this.protectFileName, rules.deleteExclusions]
+    ];
+    
+    for (const [fileName, patterns] of files) {
+      if (!fileName || (markerRoots && !markerRoots[fileName])) continue;
+      try {
+        const root = markerRoots ? markerRoots[fileName] : sourceAbs;
+        const text = await this.sourceFs.readFile(path.join(root, relativeDir, fileName), 'utf8');
+        patterns.push(...parseIgnoreFile(text).map(pattern => scopePattern(pattern, relativeDir)));
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Combine the exclusion options with patterns from ignore and protect files.
+   * Explicit `--ignore-file`/`--protect-file` patterns come after the options,
+   * then nested files from the root down, so deeper files can override.
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string[]} sourceFiles - Relative source files, used to find nested ignore files
+   * @param {string[]} [extraDirs] - Further relative directories to look for ignore files in
+   * @returns {Promise<{copyExclusions: string[], deleteExclusions: string[]}>} - Effective patterns
+   */
+  async loadRules(sourceAbs, sourceFiles, extraDirs = []) {
+    const rules = await this.loadBaseRules();
+    const markers = [this.ignoreFileName, this.protectFileName].filter(Boolean);
+    
+    const dirs = new Set(extraDirs);
+    sourceFiles
+      .filter(file => markers.includes(path.basename(file)))
+      .forEach(file => dirs.add(path.dirname(file) === '.' ? '' : path.dirname(file)));
+    
+    const sortedDirs = [...dirs].sort((a, b) =>
+      (a ? a.split(path.sep).length : 0) - (b ? b.split(path.sep).length : 0) || (a < b ? -1 : a > b ? 1 : 0)
+    );
+    for (const dir of sortedDirs) {
+      await this.addNestedRules(rules, sourceAbs, dir);
+    }
+    
+    return rules;
+  }
+
+  /**
+   * Work out the actions needed to bring the scanned destination entries in line with the source.
+   * Source entries are compared as they arrive, up to `jobs` at a time; the resulting actions
+   * keep the order of the entries.
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @param {AsyncIterable<Object>|Iterable<Object>} sourceEntries - Source entries as `walk()` yields them;
+   *   an entry's `root` overrides `sourceAbs`, as in overlays
+   * @param {Object} destTree - Destination entries returned by `scanTree()`
+   * @param {Object} rules - `copyExclusions` and `deleteExclusions`, extended as nested ignore files are found
+   * @returns {Promise<Object[]>} - Plan actions
+   */
+  async planActions(sourceAbs, destAbs, sourceEntries, destTree, rules) {
+    const limit = createLimiter(this.jobs);
+    const filter = this.createFilter();
+    const pending = [];
+    const sourceDirSet = new Set();
+    const sourceEntrySet = new Set();
+    const outputOwners = new Map();
+    // Source directories whose metadata is preserved, with the root they come from
+    const preservedDirs = [];
+    
+    // Destination paths the source entries end up at, renames included
+    const claim = (outputPath, relativePath) => {
+      const owner = outputOwners.get(outputPath);
+      if (owner !== undefined && owner !== relativePath) {
+        throw new Error(`Both ${owner} and ${relativePath} would be written to ${outputPath}`);
+      }
+      outputOwners.set(outputPath, relativePath);
+      sourceEntrySet.add(outputPath);
+    };
+    
+    // A backup directory or journal inside either tree is neither synced nor deleted
+    const sourceBackupChecks = new Map();
+    const inSourceBackup = (root, relativePath) => {
+      if (!sourceBackupChecks.has(root)) sourceBackupChecks.set(root, this.insidePaths(root, [this.backupDir, Journal.dirPath(root)]));
+      return sourceBackupChecks.get(root)(relativePath);
+    };
+    const inDestBackup = this.insidePaths(destAbs, [this.backupDir, Journal.dirPath(destAbs)]);
+    destTree = {
+      ...destTree,
+      files: destTree.files.filter(file => !inDestBackup(file)),
+      dirs: destTree.dirs.filter(dir => !inDestBackup(dir)),
+      links: destTree.links.filter(link => !inDestBackup(link))
+    };
+    
+    const destFileSet = new Set(destTree.files);
+    const destLinkSet = new Set(destTree.links);
+    const destDirSet = new Set(destTree.dirs);
+    
+    // Entries replacing a destination directory, planned after the directory's removal
+    const replacing = [];
+    const track = (list, action) => {
+      const promise = Promise.resolve(action);
+      // Failures surface through Promise.all below, don't report them as unhandled meanwhile
+      promise.catch(() => {});
+      list.push(promise);
+    };
+    const push = action => track(pending, action);
+    const replaceDir = action => track(replacing, action);
+    
+    // Compare a source entry; with the continue error policy, one that can't be
+    // compared is skipped and reported instead of failing the whole plan
+    const compare = (relativePath, from, fn) => limit(async () => {
+      try {
+        return await fn();
+      } catch (error) {
+        if (this.errorPolicy !== 'continue') throw error;
+        const code = error.code || null;
+        return { type: 'skip', path: relativePath, reason: `compare failed (${code || error.message})`, error: { operation: 'compare', code, message: error.message }, ...from };
+      }
+    });
+    
+    for await (const entry of sourceEntries) {
+      const relativePath = entry.path;
+      const root = entry.root || sourceAbs;
+      // Overlay plans say which source each file comes from
+      const from = entry.root ? { source: entry.root } : {};
+      if (inSourceBackup(root, relativePath)) continue;
+      if (relativePath !== '') {
+        this.emit('scan', { path: relativePath, kind: entry.kind });
+      }
+      
+      if (entry.kind === 'dir') {
+        sourceDirSet.add(relativePath);
+        if (entry.markers && entry.markers.length > 0) {
+          await this.addNestedRules(rules, sourceAbs, relativePath, entry.markerRoots);
+        }
+        
+        // A link or file in the destination where the source has a directory goes first,
+        // so nothing gets copied through it and the directory can be created
+        if (destLinkSet.has(relativePath) || destFileSet.has(relativePath)) {
+          push({ type: 'delete', path: relativePath, reason: 'type differs' });
+        }
+        
+        if (relativePath !== '' && this.preserve.length > 0 && !this.matchesPattern(relativePath, rules.copyExclusions, true)) {
+          preservedDirs.push({ path: relativePath, root, from });
+          if (this.preserve.includes('emptyDirs') && !destDirSet.has(relativePath) && !this.existing) {
+            push({ type: 'mkdir', path: relativePath, reason: 'new', ...from });
+          }
+        }
+        continue;
+      }
+      
+      const transforms = entry.kind === 'file' ? this.transformsFor(relativePath) : [];
+      const outputPath = transforms.length > 0 ? renamePath(transforms, relativePath) : relativePath;
+      const renamed = outputPath !== relativePath ? { output: outputPath } : {};
+      claim(outputPath, relativePath);
+      
+      if (entry.kind === 'unfollowed') {
+        push({ type: 'skip', path: relativePath, reason: entry.reason, ...from });
+        continue;
+      }
+      
+      // Skip if file matches copy exclusion pattern
+      const pattern = this.findMatchingPattern(relativePath, rules.copyExclusions);
+      if (pattern) {
+        push({ type: 'skip', path: relativePath, reason: `excluded by pattern "${pattern}"`, exclusion: 'copy', pattern, ...from });
+        continue;
+      }
+      
+      // Then the includes, and for files the size and age limits
+      const notIncluded = filter && filter.pathReason(relativePath);
+      if (notIncluded) {
+        push({ type: 'skip', path: relativePath, reason: notIncluded, exclusion: 'filter', ...from });
+        continue;
+      }
+      
+      // Update policies that only look at whether the destination has the entry
+      const inDest = destFileSet.has(outputPath) || destLinkSet.has(outputPath) || destDirSet.has(outputPath);
+      if (this.ignoreExisting && inDest) {
+        push({ type: 'skip', path: relativePath, reason: 'exists in destination', exclusion: 'update', ...from });
+        continue;
+      }
+      if (this.existing && !inDest) {
+        push({ type: 'skip', path: relativePath, reason: 'not in destination', exclusion: 'update', ...from });
+        continue;
+      }
+      
+      if (entry.kind === 'file') {
+        if (destDirSet.has(outputPath)) {
+          replaceDir({ type: 'overwrite', path: relativePath, ...renamed, reason: 'type differs', ...from });
+          continue;
+        }
+        if (destLinkSet.has(outputPath)) {
+          push({ type: 'overwrite', path: relativePath, ...renamed, reason: 'type differs', ...from });
+          continue;
+        }
+        
+        push(compare(relativePath, from, async () => {
+          const filtered = filter && filter.needsStat && filter.statReason(await this.sourceFs.stat(path.join(root, relativePath)));
+          if (filtered) {
+            return { type: 'skip', path: relativePath, reason: filtered, exclusion: 'filter', ...from };
+          }
+          
+          // Transformed files are compared by what they would turn into
+          const reason = transformsContent(transforms)
+            ? await this.compareTransformed(path.join(root, relativePath), path.join(destAbs, outputPath), relativePath, transforms)
+            : await this.compareFiles(path.join(root, relativePath), path.join(destAbs, outputPath));
+          this.emit('compare', { path: relativePath, reason });
+          if (reason && reason !== 'new' && this.update) {
+            const [sourceStat, destStat] = await Promise.all([
+              this.sourceFs.stat(path.join(root, relativePath)),
+              this.destinationFs.stat(path.join(destAbs, outputPath))
+            ]);
+            if (destStat.mtime.getTime() - sourceStat.mtime.getTime() > this.modifyWindow * 1000) {
+              return { type: 'skip', path: relativePath, reason: 'destination is newer', exclusion: 'update', ...from };
+            }
+          }
+          if (reason) {
+            return { type: reason === 'new' ? 'copy' : 'overwrite', path: relativePath, ...renamed, reason, ...from };
+          }
+          
+          // Same content, but the metadata may still need fixing
+          const metadata = this.preserveMetadata
+            ? this.compareMetadata(await this.sourceFs.stat(path.join(root, relativePath)), await this.destinationFs.stat(path.join(destAbs, outputPath)))
+            : null;
+          return metadata ? { type: 'metadata', path: relativePath, ...renamed, reason: metadata, ...from } : null;
+        }));
+        continue;
+      }
+      
+      // Symlinks in the source, handled according to the symlinks policy
+      if (this.symlinks === 'skip') {
+        push({ type: 'skip', path: relativePath, reason: 'symlink', ...from });
+        continue;
+      }
+      
+      // A directory in the destination has to be removed before the link can take its place
+      if (destDirSet.has(relativePath)) {
+        replaceDir(compare(relativePath, from, async () => ({
+          type: 'overwrite',
+          path: relativePath,
+          reason: 'type differs',
+          link: await this.resolveLinkTarget(root, destAbs, relativePath),
+          ...from
+        })));
+        continue;
+      }
+      
+      push(compare(relativePath, from, async () => {
+        const target = await this.resolveLinkTarget(root, destAbs, relativePath);
+        let reason = 'new';
+        if (destLinkSet.has(relativePath)) {
+          reason = (await this.destinationFs.readlink(path.join(destAbs, relativePath))) === target ? null : 'link target differs';
+        } else if (destFileSet.has(relativePath)) {
+          reason = 'type differs';
+        }
+        return reason ? { type: reason === 'new' ? 'copy' : 'overwrite', path: relativePath, reason, link: target, ...from } : null;
+      }));
+    }
+    
+    let actions = (await Promise.all(pending)).filter(Boolean);
+    
+    // Delete phase: files and links in destination that don't exist in source
+    const keptEntries = [];
+    // Files and links where the source has a directory were deleted up front
+    const destEntries = [...destTree.files, ...destTree.links].filter(entry => !sourceDirSet.has(entry)).sort();
+    const destOnly = destEntries.filter(relativeFile => !sourceEntrySet.has(relativeFile));
+    keptEntries.push(...destEntries.filter(relativeFile => sourceEntrySet.has(relativeFile)));
+    
+    // Files the filters leave out aren't covered by the sync, so they are kept too
+    const filteredOut = filter
+      ? await mapLimit(destOnly, this.jobs, async relativeFile => filter.pathReason(relativeFile) ||
+        (filter.needsStat && destFileSet.has(relativeFile) ? filter.statReason(await this.destinationFs.stat(path.join(destAbs, relativeFile))) : null))
+      : [];
+    
+    destOnly.forEach((relativeFile, i) => {
+      // Skip if file matches delete exclusion pattern
+      const pattern = this.findMatchingPattern(relativeFile, rules.deleteExclusions);
+      if (pattern) {
+        actions.push({ type: 'skip', path: relativeFile, reason: `protected by delete exclusion "${pattern}"`, exclusion: 'delete', pattern });
+        keptEntries.push(relativeFile);
+        return;
+      }
+      if (filteredOut[i]) {
+        actions.push({ type: 'skip', path: relativeFile, reason: `protected by filter (${filteredOut[i]})`, exclusion: 'delete', filter: filteredOut[i] });
+        keptEntries.push(relativeFile);
+        return;
+      }
+      
+      actions.push({ type: 'delete', path: relativeFile, reason: 'not in source' });
+    });
+    
+    // Rename phase: new files that match files about to be deleted are moved instead
+    if (this.detectRenames) {
+      const renames = await this.planRenames(sourceAbs, destAbs, actions);
+      const renamedFrom = new Set(renames.values());
+      actions = actions
+        .filter(action => action.type !== 'delete' || !renamedFrom.has(action.path))
+        .map(action => (renames.has(action) ? {
+          type: 'rename',
+          path: action.path,
+          ...(action.output ? { output: action.output } : {}),
+          from: renames.get(action),
+          reason: `renamed from ${renames.get(action)}`,
+          ...(action.source ? { source: action.source } : {})
+        } : action));
+    }
+    
+    // Cleanup phase: directories missing from source that will be left empty.
+    // Every ancestor of a kept entry stays; the rest go, deepest first.
+    const keptDirs = new Set();
+    for (const relativeFile of keptEntries) {
+      let dir = path.dirname(relativeFile);
+      while (dir !== '.' && !keptDirs.has(dir)) {
+        keptDirs.add(dir);
+        dir = path.dirname(dir);
+      }
+    }
+    
+    const replacements = await Promise.all(replacing);
+    const replacedDirs = new Set(replacements.map(action => action.output || action.path));
+    const removedDirs = new Set();
+    destTree.dirs
+      .filter(dir => !sourceDirSet.has(dir) && !keptDirs.has(dir) && !this.matchesPattern(dir, rules.deleteExclusions, true))
+      .sort((a, b) => b.split(path.sep).length - a.split(path.sep).length)
+      .forEach(dir => {
+        removedDirs.add(dir);
+        actions.push({ type: 'rmdir', path: dir, reason: replacedDirs.has(dir) ? 'type differs' : 'not in source' });
+      });
+    
+    // A directory that keeps protected entries can't make way for what replaces it
+    for (const action of replacements) {
+      if (action.type === 'skip' || removedDirs.has(action.output || action.path)) {
+        actions.push(action);
+      } else {
+        const from = action.source ? { source: action.source } : {};
+        actions.push({ type: 'skip', path: action.path, reason: 'type differs, destination directory is kept', ...from });
+      }
+    }
+    
+    if (this.preserveMetadata) {
+      actions.push(...await this.planDirectoryMetadata(destAbs, preservedDirs, destDirSet, actions));
+    }
+    
+    return actions;
+  }
+
+  /**
+   * Match new source files with destination files about to be deleted, so that
+   * renamed files are moved in the destination instead of copied again. A match
+   * has the same size and modification time, the same content hash in checksum
+   * mode and, with `preserve`, the same metadata. Each file matches at most once.
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @param {Object[]} actions - The other actions of the plan
+   * @returns {Promise<Map<Object, string>>} - Copy actions mapped to the relative destination file to rename
+   */
+  async planRenames(sourceAbs, destAbs, actions) {
+    const renames = new Map();
+    const copies = actions.filter(action =>
+      action.type === 'copy' && action.link === undefined && !transformsContent(this.transformsFor(action.path)));
+    const deletes = actions.filter(action => action.type === 'delete' && action.reason === 'not in source');
+    if (copies.length === 0 || deletes.length === 0) return renames;
+    
+    // Files about to be deleted, by size; links are never renamed
+    const deleteStats = await mapLimit(deletes, this.jobs, action => this.destinationFs.lstat(path.join(destAbs, action.path)));
+    const bySize = new Map();
+    deletes.forEach((action, i) => {
+      if (!deleteStats[i].isFile()) return;
+      if (!bySize.has(deleteStats[i].size)) bySize.set(deleteStats[i].size, []);
+      bySize.get(deleteStats[i].size).push({ path: action.path, stat: deleteStats[i], hash: null });
+    });
+    
+    const copyStats = await mapLimit(copies, this.jobs, action => this.sourceFs.stat(path.join(action.source || sourceAbs, action.path)));
+    for (let i = 0; i < copies.length; i++) {
+      const sourcePath = path.join(copies[i].source || sourceAbs, copies[i].path);
+      const candidates = bySize.get(copyStats[i].size) || [];
+      let sourceHash = null;
+      
+      for (let j = 0; j < candidates.length; j++) {
+        const candidate = candidates[j];
+        if (!this.sameMtime(copyStats[i], candidate.stat)) continue;
+        if (this.preserveMetadata && this.compareMetadata(copyStats[i], candidate.stat)) continue;
+        if (this.compareMode === 'checksum') {
+          sourceHash = sourceHash || await this.hashFile(sourcePath, copyStats[i]);
+          candidate.hash = candidate.hash || await this.hashFile(path.join(destAbs, candidate.path), candidate.stat, this.destinationFs);
+          if (sourceHash !== candidate.hash) continue;
+        }
+        
+        renames.set(copies[i], candidate.path);
+        candidates.splice(j, 1);
+        break;
+      }
+    }
+    
+    return renames;
+  }
+
+  /**
+   * Plan the metadata updates of directories. They run after every other action,
+   * since adding or removing entries changes a directory's mtime.
+   * @param {string} destAbs - Absolute destination path
+   * @param {Object[]} preservedDirs - Source directories with their `path`, `root` and overlay `from`
+   * @param {Set<string>} destDirSet - Relative directories in the destination
+   * @param {Object[]} actions - The other actions of the plan
+   * @returns {Promise<Object[]>} - `metadata` actions marked `directory`, deepest directory first
+   */
+  async planDirectoryMetadata(destAbs, preservedDirs, destDirSet, actions) {
+    const created = new Set();
+    const touched = new Set();
+    for (const action of actions) {
+      if (action.type === 'skip' || action.type === 'metadata') continue;
+      const target = action.output || action.path;
+      touched.add(path.dirname(target));
+      if (action.type === 'rename') touched.add(path.dirname(action.from));
+      if (['copy', 'overwrite', 'rename', 'mkdir'].includes(action.type)) {
+        for (let dir = action.type === 'mkdir' ? target : path.dirname(target); dir !== '.'; dir = path.dirname(dir)) {
+          created.add(dir);
+        }
+      }
+    }
+    
+    const limit = createLimiter(this.jobs);
+    const planned = await Promise.all(preservedDirs.map(({ path: relativeDir, root, from }) => limit(async () => {
+      if (!destDirSet.has(relativeDir)) {
+        // Directories the sync creates get their metadata once they are filled
+        return created.has(relativeDir) ? { type: 'metadata', path: relativeDir, reason: 'new', directory: true, ...from } : null;
+      }
+      
+      const [sourceStat, destStat] = await Promise.all([
+        this.sourceFs.stat(path.join(root, relativeDir)),
+        this.destinationFs.stat(path.join(destAbs, relativeDir))
+      ]);
+      const reason = this.compareMetadata(sourceStat, destStat) ||
+        (this.preserve.includes('times') && touched.has(relativeDir) ? 'content changes' : null);
+      return reason ? { type: 'metadata', path: relativeDir, reason, directory: true, ...from } : null;
+    })));
+    
+    return planned
+      .filter(Boolean)
+      .sort((a, b) => b.path.split(path.sep).length - a.path.split(path.sep).length);
+  }
+
+  /**
+   * Build a check for paths that idasync keeps for itself, such as the backup directory
+   * @param {string} rootAbs - Absolute path of the tree the paths are relative to
+   * @param {Array<string|null>} internalPaths - Absolute paths to leave out; null entries are ignored
+   * @returns {Function} - Takes a relative path and returns true if it is one of the paths or inside one
+   */
+  insidePaths(rootAbs, internalPaths) {
+    const relativePaths = internalPaths
+      .filter(Boolean)
+      .map(internalPath => path.relative(rootAbs, internalPath))
+      .filter(relative => relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+    
+    return relativePath => relativePaths.some(relative =>
+      relativePath === relative || relativePath.startsWith(`${relative}${path.sep}`)
+    );
+  }
+
+  /**
+   * Path of the bidirectional state file for a destination
+   * @param {string} destAbs - Absolute destination path
+   * @returns {string} - Absolute state file path
+   */
+  stateFilePath(destAbs) {
+    return this.stateFile || path.join(destAbs, STATE_FILE_NAME);
+  }
+
+  /**
+   * Scan both trees for a bidirectional sync, with exclusions from ignore files on either side
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @returns {Promise<Object>} - `files` (relative path to `{source, destination}` stats, null where missing),
+   *   `dirs` and `links` per side, `excluded` copy-excluded files and the `rules` used
+   */
+  async scanBothSides(sourceAbs, destAbs) {
+    const followLinks = this.symlinks === 'follow';
+    const internalPaths = [this.backupDir, this.stateFilePath(destAbs)];
+    const roots = { source: sourceAbs, destination: destAbs };
+    const fileSystems = { source: this.sourceFs, destination: this.destinationFs };
+    const trees = {};
+    
+    for (const side of Object.keys(roots)) {
+      const tree = await this.scanTree(roots[side], roots[side], followLinks, fileSystems[side]);
+      const internal = this.insidePaths(roots[side], internalPaths);
+      trees[side] = {
+        files: tree.files.filter(file => !internal(file)),
+        dirs: new Set(tree.dirs.filter(dir => !internal(dir))),
+        links: [...tree.links, ...tree.unfollowed.map(link => link.path)].filter(link => !internal(link))
+      };
+    }
+    
+    // Ignore files in the destination count as much as those in the source
+    const rules = await this.loadRules(sourceAbs, trees.source.files);
+    const destMarkers = [this.ignoreFileName, this.protectFileName].filter(Boolean);
+    const destRuleDirs = [...new Set(trees.destination.files
+      .filter(file => destMarkers.includes(path.basename(file)))
+      .map(file => (path.dirname(file) === '.' ? '' : path.dirname(file))))].sort();
+    for (const dir of destRuleDirs) {
+      await this.addNestedRules(rules, destAbs, dir);
+    }
+    
+    const files = new Map();
+    const excluded = new Set();
+    for (const side of Object.keys(roots)) {
+      const included = trees[side].files.filter(file => {
+        if (this.matchesPattern(file, rules.copyExclusions)) {
+          excluded.add(file);
+          return false;
+        }
+        return true;
+      });
+      const stats = await mapLimit(included, this.jobs, file => fileSystems[side].stat(path.join(roots[side], file)));
+      included.forEach((file, i) => {
+        const entry = files.get(file) || { source: null, destination: null };
+        entry[side] = stats[i];
+        files.set(file, entry);
+      });
+    }
+    
+    return {
+      files,
+      excluded,
+      rules,
+      dirs: { source: trees.source.dirs, destination: trees.destination.dirs },
+      links: { source: trees.source.links, destination: trees.destination.links }
+    };
+  }
+
+  /**
+   * Plan a bidirectional sync. Each side is compared with the state recorded after
+   * the previous run to find what was created, modified or deleted there; changes
+   * flow to the other side, and changes on both sides are resolved by the
+   * `conflicts` policy.
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @returns {Promise<Object>} - Plan whose actions carry `to: 'source'` when they change the source
+   */
+  async planBidirectional(sourceAbs, destAbs) {
+    const stateFile = this.stateFilePath(destAbs);
+    const [snapshot, state] = await Promise.all([
+      this.scanBothSides(sourceAbs, destAbs),
+      new SyncState(stateFile).load(sourceAbs, destAbs)
+    ]);
+    const { files, dirs, rules } = snapshot;
+    const roots = { source: sourceAbs, destination: destAbs };
+    const other = { source: 'destination', destination: 'source' };
+    
+    const change = (current, previous) => {
+      if (!current) return previous ? 'deleted' : null;
+      if (!previous) return 'created';
+      return current.size !== previous.size || current.mtimeMs !== previous.mtimeMs ? 'modified' : null;
+    };
+    
+    // Actions that bring the `to` side in line with the other one
+    const propagate = (relativePath, to, reason, conflict) => {
+      const extra = conflict ? { conflict: true } : {};
+      const fromStat = files.get(relativePath)[other[to]];
+      if (fromStat) {
+        const type = files.get(relativePath)[to] ? 'overwrite' : 'copy';
+        return [{ type, path: relativePath, reason, to, ...extra }];
+      }
+      const pattern = this.findMatchingPattern(relativePath, rules.deleteExclusions);
+      if (pattern) {
+        return [{ type: 'skip', path: relativePath, reason: `protected by delete exclusion "${pattern}"`, exclusion: 'delete', pattern, to }];
+      }
+      return [{ type: 'delete', path: relativePath, reason, to, ...extra }];
+    };
+    
+    const takenPaths = new Set([...files.keys(), ...dirs.source, ...dirs.destination]);
+    const conflictPath = relativePath => {
+      const ext = path.extname(relativePath);
+      const stem = relativePath.slice(0, relativePath.length - ext.length);
+      let candidate = `${stem}${CONFLICT_SUFFIX}${ext}`;
+      for (let i = 1; takenPaths.has(candidate); i++) {
+        candidate = `${stem}${CONFLICT_SUFFIX}-${i}${ext}`;
+      }
+      takenPaths.add(candidate);
+      return candidate;
+    };
+    
+    const resolveConflict = (relativePath, reason) => {
+      const { source, destination } = files.get(relativePath);
+      if (source && destination && this.conflicts === 'keep-both') {
+        return [{ type: 'keep-both', path: relativePath, conflictPath: conflictPath(relativePath), reason, conflict: true }];
+      }
+      
+      let winner = 'source';
+      if (this.conflicts !== 'source-wins') {
+        // A change beats a deletion; between two changes the newer one wins
+        winner = !source ? 'destination'
+          : !destination ? 'source'
+          : destination.mtimeMs > source.mtimeMs ? 'destination' : 'source';
+      }
+      return propagate(relativePath, other[winner], `${reason} (${winner} wins)`, true);
+    };
+    
+    const decide = async relativePath => {
+      const current = files.get(relativePath) || { source: null, destination: null };
+      const previous = state.get(relativePath) || { source: null, destination: null };
+      if (!current.source && !current.destination) return [];
+      
+      // A file on one side where the other has a directory can't be synced either way
+      const side = current.source ? 'source' : 'destination';
+      if (dirs[other[side]].has(relativePath)) {
+        return [{ type: 'skip', path: relativePath, reason: 'type differs', to: other[side] }];
+      }
+      
+      const changes = {
+        source: change(current.source, previous.source),
+        destination: change(current.destination, previous.destination)
+      };
+      
+      if (changes.source && changes.destination) {
+        if (current.source && current.destination) {
+          const reason = await this.compareFiles(path.join(sourceAbs, relativePath), path.join(destAbs, relativePath));
+          return reason ? resolveConflict(relativePath, 'conflict: changed on both sides') : [];
+        }
+        const changedSide = current.source ? 'source' : 'destination';
+        return resolveConflict(relativePath, `conflict: changed in ${changedSide}, deleted in ${other[changedSide]}`);
+      }
+      
+      const changedSide = changes.source ? 'source' : changes.destination ? 'destination' : null;
+      if (!changedSide) return [];
+      
+      const to = other[changedSide];
+      if (current[changedSide] && current[to]) {
+        const from = [roots[changedSide], roots[to]].map(root => path.join(root, relativePath));
+        if (!(await this.compareFiles(...from))) return [];
+      }
+      return propagate(relativePath, to, `${changes[changedSide]} in ${changedSide}`, false);
+    };
+    
+    // Deleted files are still in the state, so they are considered too
+    const paths = [...new Set([...files.keys(), ...state.files.keys()])].sort();
+    const decided = await mapLimit(paths, this.jobs, decide);
+    const actions = [];
+    
+    for (const relativePath of [...snapshot.excluded].sort()) {
+      const pattern = this.findMatchingPattern(relativePath, rules.copyExclusions);
+      actions.push({ type: 'skip', path: relativePath, reason: `excluded by pattern "${pattern}"`, exclusion: 'copy', pattern });
+    }
+    for (const side of Object.keys(roots)) {
+      for (const link of snapshot.links[side]) {
+        actions.push({ type: 'skip', path: link, reason: 'symlink', to: other[side] });
+      }
+    }
+    actions.push(...decided.flat());
+    
+    // Directories removed on one side since the last run are removed on the other,
+    // once nothing is left in them there
+    for (const side of Object.keys(roots)) {
+      const remaining = new Set([
+        ...[...files.keys()].filter(file => files.get(file)[side]),
+        ...snapshot.links[side],
+        ...[...snapshot.excluded]
+      ]);
+      for (const action of actions) {
+        if (action.to !== side && action.type !== 'keep-both') continue;
+        if (action.type === 'delete') remaining.delete(action.path);
+        if (action.type === 'copy' || action.type === 'overwrite') remaining.add(action.path);
+        if (action.type === 'keep-both') remaining.add(action.path).add(action.conflictPath);
+      }
+      
+      const keptDirs = new Set();
+      for (const relativeFile of remaining) {
+        for (let dir = path.dirname(relativeFile); dir !== '.' && !keptDirs.has(dir); dir = path.dirname(dir)) {
+          keptDirs.add(dir);
+        }
+      }
+      
+      [...dirs[side]]
+        .filter(dir => !dirs[other[side]].has(dir) && state.dirs.has(dir) && !keptDirs.has(dir))
+        .filter(dir => !this.matchesPattern(dir, rules.deleteExclusions, true))
+        .sort((a, b) => b.split(path.sep).length - a.split(path.sep).length || (a < b ? -1 : 1))
+        .forEach(dir => actions.push({ type: 'rmdir', path: dir, reason: `deleted in ${other[side]}`, to: side }));
+    }
+    
+    return { source: sourceAbs, destination: destAbs, bidirectional: true, stateFile, actions };
+  }
+
+  /**
+   * Record both trees after a bidirectional sync, for the next run to compare against
+   * @param {Object} plan - Bidirectional plan that was applied
+   */
+  async saveSyncState(plan) {
+    const snapshot = await this.scanBothSides(plan.source, plan.destination);
+    const commonDirs = [...snapshot.dirs.source].filter(dir => snapshot.dirs.destination.has(dir));
+    
+    const state = new SyncState(plan.stateFile);
+    await state.load(plan.source, plan.destination);
+    await state.save(plan.source, plan.destination, snapshot.files, commonDirs);
+  }
+
+  /**
+   * Work out what a source symlink should point to when recreated in the destination.
+   * Targets inside the source tree point at the matching destination path; relative
+   * targets outside it are rewritten so they still reach the same place.
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @param {string} relativeLink - Link path relative to the source
+   * @returns {Promise<string>} - Target for the destination link
+   */
+  async resolveLinkTarget(sourceAbs, destAbs, relativeLink) {
+    const sourceLink = path.join(sourceAbs, relativeLink);
+    const target = await this.sourceFs.readlink(sourceLink);
+    const resolved = path.resolve(path.dirname(sourceLink), target);
+    const relativeTarget = path.relative(sourceAbs, resolved);
+    const inside = relativeTarget !== '..' && !relativeTarget.startsWith(`..${path.sep}`) && !path.isAbsolute(relativeTarget);
+    
+    if (inside) {
+      // The tree is mirrored, so relative targets stay valid as they are
+      return path.isAbsolute(target) ? path.join(destAbs, relativeTarget) : target;
+    }
+    return path.isAbsolute(target) ? target : path.relative(path.dirname(path.join(destAbs, relativeLink)), resolved);
+  }
+
+  /**
+   * Perform the actions of a plan created by `plan()`. Consecutive copies, and
+   * consecutive deletions, run up to `jobs` at a time; directories are removed
+   * one by one, deepest first. With a `backupDir`, deleted and overwritten
+   * files are moved into a new backup run instead of being lost. In
+   * transactional mode every change is journaled first, and a failure rolls
+   * the destination back to where it started.
+   * @param {Object} plan - Plan returned by `plan()`
+   * @returns {Promise<Object>} - Counts of copied, deleted and skipped files, the `bytes` written, the `elapsed`
+   *   milliseconds, the `files` that changed, in plan order, and the `backup` run path if one was written.
+   *   With `preserve`, also `updated` (metadata-only updates) and `dirsCreated` (empty directories created),
+   *   and with `detectRenames`, `renamed` (files moved within the destination)
+   */
+  async apply(plan) {
+    if (plan.archives) {
+      return this.applyArchives(plan);
+    }
+    
+    const startTime = Date.now();
+    const counts = { copied: 0, deleted: 0, skipped: 0 };
+    if (this.detectRenames) counts.renamed = 0;
+    if (plan.bidirectional) counts.conflicts = 0;
+    if (this.preserve.length > 0) Object.assign(counts, { updated: 0, dirsCreated: 0 });
+    Object.assign(counts, { bytes: 0, elapsed: 0, files: [] });
+    if (this.errorPolicy === 'continue') counts.errors = [];
+    
+    if (plan.sourceMissing) {
+      return counts;
+    }
+    
+    // A plan made on top of an interrupted sync no longer fits once that is rolled back
+    if (await this.recover(plan.destination) !== null) {
+      throw new Error(`Rolled back an interrupted sync of ${plan.destination}, plan the sync again`);
+    }
+    
+    // Create destination if it doesn't exist
+    await this.destinationFs.mkdir(plan.destination, { recursive: true });
+    
+    if (this.listenerCount('start') > 0) {
+      this.emit('start', await this.planTotals(plan));
+    }
+    
+    // Split the actions into batches that are safe to run in parallel
+    const batches = [];
+    let previousType = null;
+    for (const action of plan.actions) {
+      if (action.type === 'skip') {
+        this.log(`Skipping: ${action.path} (${action.reason})`);
+        this.emit('skip', { path: action.path, reason: action.reason });
+        // Only files held back from copying count as skipped
+        if (['copy', 'filter', 'update'].includes(action.exclusion)) {
+          counts.skipped++;
+        }
+        if (action.error && counts.errors) {
+          counts.errors.push({ path: action.path, ...action.error });
+        }
+        continue;
+      }
+      
+      const type = action.type === 'overwrite' ? 'copy' : action.type;
+      if (type !== previousType || type === 'rmdir') {
+        batches.push([]);
+        previousType = type;
+      }
+      batches[batches.length - 1].push(action);
+    }
+    
+    const journal = this.transactional ? await new Journal(plan.destination).begin() : null;
+    const backup = this.backupDir ? new Backup(this.backupDir, plan.destination) : null;
+    let rolledBack = false;
+    try {
+      for (const batch of batches) {
+        // Results come back in batch order, so `files` doesn't depend on `jobs`
+        const files = await mapLimit(batch, this.jobs, action => this.applyAction(plan, action, counts, backup, journal));
+        for (const file of files.filter(Boolean)) {
+          counts.files.push(file);
+          counts.bytes += file.bytes;
+        }
+      }
+    } catch (error) {
+      if (journal) {
+        const steps = await journal.rollback();
+        rolledBack = true;
+        this.logger.warn(`Sync failed, rolled back ${steps} change(s) in ${plan.destination}`);
+      }
+      throw error;
+    } finally {
+      // Record what was moved even if the run failed halfway, so it can still be restored.
+      // A rolled back run changed nothing, and restoring it would bring back stale files.
+      if (backup) await (rolledBack ? backup.discard() : this.finishBackup(backup, counts));
+    }
+    if (journal) await journal.commit();
+    
+    if (plan.bidirectional) await this.saveSyncState(plan);
+    if (this.hashCache) await this.hashCache.save();
+    
+    counts.elapsed = Date.now() - startTime;
+    this.log(`Sync complete: ${counts.copied} copied, ${counts.deleted} deleted, ${counts.skipped} skipped` +
+      (counts.renamed !== undefined ? `, ${counts.renamed} renamed` : '') +
+      (plan.bidirectional ? `, ${counts.conflicts} conflicts` : '') +
+      (counts.updated !== undefined ? `, ${counts.updated} updated, ${counts.dirsCreated} directories created` : '') +
+      (counts.errors ? `, ${counts.errors.length} failed` : ''));
+    this.emit('done', counts);
+    
+    return counts;
+  }
+
+  /**
+   * Write the manifest of a backup run and prune old runs
+   * @param {Backup} backup - Backup run of the current `apply()`
+   * @param {Object} counts - Result to record the run path in
+   */
+  async finishBackup(backup, counts) {
+    const runDir = await backup.finish();
+    if (!runDir) return;
+    
+    counts.backup = runDir;
+    this.log(`Backed up ${backup.files.length} file(s) to ${runDir}`);
+    
+    if (this.keepBackups !== undefined) {
+      for (const id of await Backup.prune(this.backupDir, this.keepBackups)) {
+        this.log(`Pruned backup: ${id}`);
+      }
+    }
+  }
+
+  /**
+   * Count the actions of a plan and the bytes it will copy
+   * @param {Object} plan - Plan returned by `plan()`
+   * @returns {Promise<Object>} - Totals of `copy` (including overwrites), `delete`, `rmdir` and `skip` actions,
+   *   `mkdir` and `metadata` actions with `preserve`, `rename` actions with `detectRenames`, and `bytes`
+   */
+  async planTotals(plan) {
+    const totals = { copy: 0, delete: 0, rmdir: 0, skip: 0, bytes: 0 };
+    if (this.preserve.length > 0) Object.assign(totals, { mkdir: 0, metadata: 0 });
+    if (this.detectRenames) totals.rename = 0;
+    const copies = plan.actions.filter(action => ['copy', 'overwrite', 'keep-both'].includes(action.type));
+    
+    for (const action of plan.actions) {
+      if (action.type === 'keep-both') {
+        // The destination's version is copied to the source, and the source's to the destination
+        totals.copy += 2;
+      } else {
+        totals[action.type === 'overwrite' ? 'copy' : action.type]++;
+      }
+    }
+    
+    const size = async (fileSystem, filePath) => {
+      const stat = await fileSystem.stat(filePath).catch(() => null);
+      return stat ? stat.size : 0;
+    };
+    const sizes = await mapLimit(copies, this.jobs, async action => {
+      if (action.link !== undefined) return 0;
+      if (action.type === 'keep-both') {
+        return (await size(this.sourceFs, path.join(plan.source, action.path))) +
+          (await size(this.destinationFs, path.join(plan.destination, action.path)));
+      }
+      return action.to === 'source'
+        ? size(this.destinationFs, path.join(plan.destination, action.path))
+        : size(this.sourceFs, path.join(action.source || plan.source, action.path));
+    });
+    totals.bytes = sizes.reduce((sum, size) => sum + size, 0);
+    
+    return totals;
+  }
+
+  /**
+   * Perform a single plan action, reporting a failure through the `error` event.
+   * With the continue error policy, the failure is recorded in `counts.errors`
+   * instead of being thrown.
+   * @param {Object} plan - Plan the action belongs to
+   * @param {Object} action - Action to perform
+   * @param {Object} counts - Counters to update
+   * @param {Backup} [backup] - Backup run receiving deleted and overwritten files
+   * @param {Journal} [journal] - Journal of a transactional run
+   * @returns {Promise<Object|null>} - Details of the change, or null if nothing changed or it failed
+   */
+  async applyAction(plan, action, counts, backup = null, journal = null) {
+    try {
+      return await this.performAction(plan, action, counts, backup, journal);
+    } catch (error) {
+      // Emitting 'error' without a listener would throw a different error
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', { error, path: action.path, type: action.type });
+      }
+      if (this.errorPolicy !== 'continue') {
+        throw error;
+      }
+      this.logger.error(`Failed to ${action.type} ${action.path}: ${error.message}`);
+      counts.errors.push({ path: action.path, operation: action.type, code: error.code || null, message: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Run a file system operation, retrying transient failures such as EBUSY
+   * with exponential backoff
+   * @param {string} relativePath - Path the operation works on, for the log
+   * @param {Function} operation - Async operation to run
+   * @returns {Promise<*>} - Result of the operation
+   */
+  async withRetries(relativePath, operation) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (attempt >= this.retries || !TRANSIENT_ERRORS.includes(error.code)) {
+          throw error;
+        }
+        const delay = this.retryDelay * 2 ** attempt;
+        this.log(`Retrying ${relativePath} in ${delay} ms (${error.code})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Perform a single plan action and emit its events
+   * @param {Object} plan - Plan the action belongs to
+   * @param {Object} action - Action to perform
+   * @param {Object} counts - Counters to update
+   * @param {Backup} [backup] - Backup run receiving deleted and overwritten files
+   * @param {Journal} [journal] - Journal of a transactional run, told about each change before it is made
+   * @returns {Promise<Object|null>} - Details of the change for the `files` of the result, or null if nothing changed
+   */
+  async performAction(plan, action, counts, backup = null, journal = null) {
+    // Bidirectional plans can also copy into and delete from the source.
+    // Backups only cover the destination.
+    const reverse = action.to === 'source';
+    const sourcePath = path.join(reverse ? plan.destination : action.source || plan.source || '', action.path);
+    // Renamed files land at their `output` path
+    const outputPath = action.output || action.path;
+    const destPath = path.join(reverse ? plan.source : plan.destination, outputPath);
+    const backupRun = reverse ? null : backup;
+    const [readFs, writeFs] = reverse ? [this.destinationFs, this.sourceFs] : [this.sourceFs, this.destinationFs];
+    const tempDir = journal ? journal.tempDir : undefined;
+    const details = (bytes, extra = {}) => ({
+      type: action.type,
+      path: action.path,
+      ...(action.output ? { output: action.output } : {}),
+      bytes,
+      reason: action.reason,
+      ...(action.to ? { to: action.to } : {}),
+      ...extra
+    });
+    let file = null;
+    
+    switch (action.type) {
+      case 'copy':
+      case 'overwrite':
+        if (journal) await journal.willChange(outputPath);
+        // A directory the entry replaces was removed earlier in the plan, leaving nothing to back up
+        if (backupRun && action.type === 'overwrite' && await writeFs.lstat(destPath).then(() => true, () => false)) {
+          await this.withRetries(outputPath, () => backupRun.move(outputPath, 'overwrite'));
+        }
+        if (action.link !== undefined) {
+          this.emit('copy:start', { path: action.path, bytes: 0 });
+          await this.withRetries(outputPath, () => this.createSymlink(action.link, sourcePath, destPath));
+          this.log(`Linked: ${action.path} -> ${action.link} (${action.reason})${action.source ? ` from ${action.source}` : ''}`);
+          this.emit('copy:end', { path: action.path, bytes: 0 });
+          file = details(0, { link: action.link });
+        } else {
+          const sourceStat = await readFs.stat(sourcePath);
+          const { size } = sourceStat;
+          const transforms = reverse ? [] : this.transformsFor(action.path);
+          let written = size;
+          this.emit('copy:start', { path: action.path, bytes: size });
+          if (transformsContent(transforms)) {
+            const content = await this.transformFile(sourcePath, action.path, transforms);
+            await this.withRetries(outputPath, () => this.writeTransformed(sourcePath, destPath, content, tempDir));
+            written = Buffer.byteLength(content);
+          } else {
+            const onProgress = this.listenerCount('copy:progress') > 0
+              ? (bytesCopied, bytes) => this.emit('copy:progress', { path: action.path, bytesCopied, bytes })
+              : null;
+            await this.withRetries(outputPath, () => this.copyFile(sourcePath, destPath, onProgress, tempDir, readFs, writeFs));
+            await this.rememberCopiedHash(sourcePath, destPath);
+          }
+          if (this.preserveOwnership) {
+            await writeFs.chown(destPath, sourceStat.uid, sourceStat.gid);
+          }
+          const renamed = action.output ? ` -> ${action.output}` : '';
+          this.log(`Copied: ${action.path}${renamed} (${action.reason})${action.source ? ` from ${action.source}` : ''}`);
+          this.emit('copy:end', { path: action.path, bytes: size });
+          file = details(written);
+        }
+        if (backupRun && action.type === 'copy') {
+          backupRun.recordCreated(outputPath);
+        }
+        counts.copied++;
+        break;
+      case 'rename': {
+        // Nothing is backed up, the file only changes its name
+        const fromPath = path.join(plan.destination, action.from);
+        if (journal) {
+          await journal.willChange(action.from);
+          await journal.willChange(outputPath);
+        }
+        await this.withRetries(outputPath, async () => {
+          await writeFs.mkdir(path.dirname(destPath), { recursive: true });
+          await writeFs.rename(fromPath, destPath);
+        });
+        if (backupRun) backupRun.recordRenamed(action.from, outputPath);
+        if (this.hashCacheFor(writeFs)) this.hashCache.delete(fromPath);
+        this.log(`Renamed: ${action.from} -> ${outputPath}`);
+        this.emit('rename', { path: action.path, from: action.from });
+        counts.renamed++;
+        file = details(0, { from: action.from });
+        break;
+      }
+      case 'delete':
+        if (journal) await journal.willChange(action.path);
+        if (backupRun) {
+          await this.withRetries(action.path, () => backupRun.move(action.path, 'delete'));
+        } else {
+          await this.withRetries(action.path, () => writeFs.unlink(destPath));
+        }
+        if (this.hashCacheFor(writeFs)) this.hashCache.delete(destPath);
+        this.log(`Deleted: ${action.path}`);
+        this.emit('delete', { path: action.path });
+        counts.deleted++;
+        file = details(0);
+        break;
+      case 'rmdir':
+        if (journal) await journal.willRemoveDir(action.path);
+        try {
+          await this.withRetries(action.path, () => writeFs.rmdir(destPath));
+          this.log(`Removed empty directory: ${action.path}`);
+          this.emit('rmdir', { path: action.path });
+          file = details(0);
+        } catch (error) {
+          // Already gone is fine, and so is a directory that still holds something,
+          // such as a file that failed to delete; anything else is a real failure
+          if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+            this.log(`Kept directory that is not empty: ${action.path}`);
+          } else if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        break;
+      case 'mkdir':
+        if (journal) await journal.willMkdir(action.path);
+        await this.withRetries(action.path, () => writeFs.mkdir(destPath, { recursive: true }));
+        this.log(`Created directory: ${action.path}`);
+        this.emit('mkdir', { path: action.path });
+        counts.dirsCreated++;
+        file = details(0);
+        break;
+      case 'metadata': {
+        if (journal) await journal.willChangeMetadata(outputPath);
+        const sourceStat = await readFs.stat(sourcePath);
+        await this.withRetries(outputPath, () => this.applyMetadata(sourceStat, destPath));
+        this.log(`Updated: ${outputPath} (${action.reason})`);
+        this.emit('metadata', { path: action.path, reason: action.reason });
+        counts.updated++;
+        file = details(0, action.directory ? { directory: true } : {});
+        break;
+      }
+      case 'keep-both': {
+        // The destination's version moves aside under the conflict name on both sides
+        const conflictDest = path.join(plan.destination, action.conflictPath);
+        await this.withRetries(action.path, () => this.destinationFs.rename(destPath, conflictDest));
+        await this.withRetries(action.conflictPath, () => this.copyFile(
+          conflictDest, path.join(plan.source, action.conflictPath), null, undefined, this.destinationFs, this.sourceFs
+        ));
+        await this.withRetries(action.path, () => this.copyFile(sourcePath, destPath));
+        this.log(`Kept both: ${action.path}, destination version saved as ${action.conflictPath} (${action.reason})`);
+        counts.copied += 2;
+        const [sourceStat, conflictStat] = await Promise.all([this.sourceFs.stat(sourcePath), this.destinationFs.stat(conflictDest)]);
+        file = details(sourceStat.size + conflictStat.size, { conflictPath: action.conflictPath });
+        break;
+      }
+      default:
+        throw new Error(`Unknown plan action: ${action.type}`);
+    }
+    
+    if (action.conflict) {
+      counts.conflicts++;
+      this.emit('conflict', { path: action.path, reason: action.reason });
+    }
+    return file;
+  }
+
+  /**
+   * Synchronize source directory to destination directory
+   * @param {string|string[]} source - Source directory path, or several in priority order (later ones win)
+   * @param {string} destination - Destination directory path
+   */
+  async sync(source, destination) {
+    const startTime = Date.now();
+    const sources = Array.isArray(source) ? source : [source];
+    this.log(`Syncing from ${sources.map(sourcePath => path.resolve(sourcePath)).join(', ')} to ${path.resolve(destination)}`);
+    
+    await this.recover(destination);
+    const plan = await this.plan(source, destination);
+    const result = await this.apply(plan);
+    // Planning counts too
+    result.elapsed = Date.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Check whether the destination is in sync with the source, using the same
+   * exclusions and compare mode as `sync()`. Nothing is modified.
+   * @param {string|string[]} source - Source directory path, or several in priority order (later ones win)
+   * @param {string} destination - Destination directory path
+   * @returns {Promise<Object>} - `inSync`, plus the paths `missingInDestination` and `missingInSource`,
+   *   the `different` files with their `reason` and the `protected` files with their `pattern`
+   */
+  async compare(source, destination) {
+    if (this.bidirectional) {
+      throw new Error('compare() is not supported in bidirectional mode');
+    }
+    
+    const plan = await this.plan(source, destination);
+    if (plan.sourceMissing) {
+      throw new Error(`Source directory does not exist: ${plan.source}`);
+    }
+    
+    const result = {
+      source: plan.sources || plan.source,
+      destination: plan.destination,
+      inSync: true,
+      missingInDestination: [],
+      missingInSource: [],
+      different: [],
+      protected: []
+    };
+    if (this.errorPolicy === 'continue') result.errors = [];
+    
+    for (const action of plan.actions) {
+      const renamed = action.output ? { output: action.output } : {};
+      switch (action.type) {
+        case 'copy':
+        case 'mkdir':
+          result.missingInDestination.push(action.output || action.path);
+          break;
+        case 'delete':
+        case 'rmdir':
+          result.missingInSource.push(action.path);
+          break;
+        case 'rename':
+          result.missingInDestination.push(action.output || action.path);
+          result.missingInSource.push(action.from);
+          break;
+        case 'overwrite':
+        case 'metadata':
+          result.different.push({ path: action.path, ...renamed, reason: action.reason });
+          break;
+        case 'skip':
+          if (action.exclusion === 'delete') {
+            result.protected.push(action.filter ? { path: action.path, filter: action.filter } : { path: action.path, pattern: action.pattern });
+          } else if (action.error && result.errors) {
+            result.errors.push({ path: action.path, ...action.error });
+          }
+          break;
+        default:
+          throw new Error(`Unknown plan action: ${action.type}`);
+      }
+    }
+    
+    // Files that couldn't be compared may differ too
+    result.inSync = result.missingInDestination.length === 0 && result.missingInSource.length === 0 &&
+      result.different.length === 0 && !(result.errors && result.errors.length > 0);
+    this.log(result.inSync
+      ? 'Trees are in sync'
+      : `Trees differ: ${result.missingInDestination.length} missing in destination, ` +
+        `${result.missingInSource.length} missing in source, ${result.different.length} different`);
+    
+    return result;
+  }
+
+  /**
+   * Roll back a transactional sync of a destination that was interrupted, for
+   * example by a crash or Ctrl-C. `sync()` does this before planning.
+   * @param {string} destination - Destination directory path
+   * @returns {Promise<number|null>} - Number of changes undone, or null if there was nothing to recover
+   */
+  async recover(destination) {
+    // Journals are only kept on the local file system
+    if (!this.localDestination) return null;
+    
+    const destAbs = path.resolve(destination);
+    const steps = await Journal.recover(destAbs);
+    if (steps !== null) {
+      this.logger.warn(`Rolled back an interrupted sync of ${destAbs} (${steps} change(s) undone)`);
+    }
+    return steps;
+  }
+
+  /**
+   * Undo a backup run: remove the files it created, move the files it renamed
+   * back and put back the files it deleted or overwrote. The backup itself is
+   * left in place. The destination is changed through its file system adapter.
+   * @param {string} backup - Backup run directory
+   * @param {string} destination - Destination directory path
+   * @returns {Promise<{restored: number, removed: number}>} - Counts of restored and removed files
+   */
+  async restore(backup, destination) {
+    const destFs = this.destinationFs;
+    // Backups are on the local file system, whatever the destination is
+    const backupFs = this.localDestination ? destFs : withDefaults(nodeFileSystem);
+    const runDir = path.resolve(backup);
+    const destAbs = path.resolve(destination);
+    const manifest = await Backup.readManifest(runDir);
+    const result = { restored: 0, removed: 0 };
+    
+    this.log(`Restoring ${runDir} to ${destAbs}`);
+    
+    for (const relativeFile of manifest.created) {
+      const destPath = path.join(destAbs, ...relativeFile.split('/'));
+      try {
+        await destFs.unlink(destPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      if (this.hashCacheFor(destFs)) this.hashCache.delete(destPath);
+      this.log(`Removed: ${relativeFile}`);
+      result.removed++;
+      await this.removeEmptyParents(path.dirname(destPath), destAbs);
+    }
+    
+    // Runs written before rename detection have no renamed files
+    for (const { path: relativeFile, from } of manifest.renamed || []) {
+      const destPath = path.join(destAbs, ...relativeFile.split('/'));
+      const fromPath = path.join(destAbs, ...from.split('/'));
+      try {
+        await destFs.lstat(destPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      await destFs.mkdir(path.dirname(fromPath), { recursive: true });
+      await destFs.rename(destPath, fromPath);
+      if (this.hashCacheFor(destFs)) this.hashCache.delete(destPath);
+      this.log(`Moved back: ${relativeFile} -> ${from}`);
+      result.restored++;
+      await this.removeEmptyParents(path.dirname(destPath), destAbs);
+    }
+    
+    await mapLimit(manifest.files, this.jobs, async ({ path: relativeFile }) => {
+      const backupPath = Backup.filePath(runDir, relativeFile);
+      const destPath = path.join(destAbs, ...relativeFile.split('/'));
+      
+      if ((await backupFs.lstat(backupPath)).isSymbolicLink()) {
+        await this.createSymlink(await backupFs.readlink(backupPath), backupPath, destPath, backupFs);
+      } else {
+        await this.copyFile(backupPath, destPath, null, undefined, backupFs, destFs);
+      }
+      this.log(`Restored: ${relativeFile}`);
+      result.restored++;
+    });
+    
+    if (this.hashCache) await this.hashCache.save();
+    
+    return result;
+  }
+
+  /**
+   * Remove a directory and its parents while they are empty
+   * @param {string} dirPath - Directory to start from
+   * @param {string} stopPath - Directory that is never removed
+   */
+  async removeEmptyParents(dirPath, stopPath) {
+    for (let dir = dirPath; dir !== stopPath && dir.startsWith(stopPath); dir = path.dirname(dir)) {
+      try {
+        await this.destinationFs.rmdir(dir);
+      } catch (error) {
+        // Not empty (or already gone), so neither are its parents
+        if (['ENOTEMPTY', 'EEXIST', 'ENOENT'].includes(error.code)) return;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * List the backup runs in the backup directory, oldest first
+   * @param {string} [backupDir] - Directory holding the backup runs (default: the `backupDir` option)
+   * @returns {Promise<Object[]>} - Runs with `id`, `path`, `destination`, `createdAt`, `files`, `created` and `renamed`
+   */
+  async listBackups(backupDir = this.backupDir) {
+    if (!backupDir) {
+      throw new Error('No backup directory given');
+    }
+    return Backup.list(backupDir);
+  }
+
+  /**
+   * Sync once, then keep the destination up to date as the source changes
+   * @param {string|string[]} source - Source directory path, or several in priority order
+   * @param {string} destination - Destination directory path
+   * @param {Object} [handlers] - Optional `onSync(result)` and `onError(error)` callbacks
+   * @returns {Promise<{close: Function}>} - Handle that stops watching when closed
+   */
+  async watch(source, destination, handlers = {}) {
+    if ([].concat(source, destination).some(isArchive)) {
+      throw new Error('Watch mode needs directories, not archives');
+    }
+    if (!this.localSource) {
+      throw new Error('Watch mode needs a source on the local file system');
+    }
+    
+    const sourcesAbs = (Array.isArray(source) ? source : [source]).map(sourcePath => path.resolve(sourcePath));
+    const syncSource = sourcesAbs.length === 1 ? sourcesAbs[0] : sourcesAbs;
+    const destAbs = path.resolve(destination);
+    const onSync = handlers.onSync || (() => {});
+    const onError = handlers.onError || (error => this.logger.error(`[idasync] Sync failed: ${error.message}`));
+    
+    onSync(await this.sync(syncSource, destAbs));
+    
+    // Changed paths are collected while a batch is debounced or running.
+    // A null entry means the watcher couldn't tell what changed.
+    let pending = new Set();
+    let timer = null;
+    let running = false;
+    let closed = false;
+    
+    const flush = async () => {
+      timer = null;
+      if (running || closed || pending.size === 0) return;
+      
+      const changed = pending;
+      pending = new Set();
+      running = true;
+      try {
+        // A changed ignore file can affect paths anywhere in the tree.
+        // Bidirectional and overlay syncs always compare the whole trees.
+        const needsFullSync = this.bidirectional || sourcesAbs.length > 1 || [...changed].some(relativePath =>
+          relativePath === null || [this.ignoreFileName, this.protectFileName].includes(path.basename(relativePath))
+        );
+        const result = needsFullSync
+          ? await this.sync(syncSource, destAbs)
+          : await this.syncPaths(syncSource, destAbs, [...changed]);
+        onSync(result);
+      } catch (error) {
+        onError(error);
+      } finally {
+        running = false;
+      }
+      
+      if (pending.size > 0) schedule();
+    };
+    
+    const schedule = () => {
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(flush, this.watchDebounce);
+    };
+    
+    const onChange = relativePath => {
+      pending.add(relativePath);
+      if (!running) schedule();
+    };
+    const closeWatchers = sourcesAbs.map(sourcePath => this.watchDirectory(sourcePath, onChange));
+    
+    if (this.bidirectional) {
+      // Writing the state file or a backup must not trigger another sync
+      const internal = this.insidePaths(destAbs, [this.backupDir, this.stateFilePath(destAbs)]);
+      closeWatchers.push(this.watchDirectory(destAbs, relativePath => {
+        if (relativePath === null || !internal(relativePath)) onChange(relativePath);
+      }));
+    }
+    
+    return {
+      close: () => {
+        closed = true;
+        if (timer) clearTimeout(timer);
+        closeWatchers.forEach(closeWatcher => closeWatcher());
+      }
+    };
+  }
+
+  /**
+   * Watch a directory tree and report changed paths relative to it
+   * @param {string} dirAbs - Absolute directory path
+   * @param {Function} onChange - Called with the changed relative path, or null when unknown
+   * @returns {Function} - Stops watching
+   */
+  watchDirectory(dirAbs, onChange) {
+    try {
+      const watcher = fsWatch(dirAbs, { recursive: true }, (eventType, fileName) => {
+        onChange(fileName ? path.normalize(fileName.toString()) : null);
+      });
+      return () => watcher.close();
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+    }
+    
+    // Recursive watching is unavailable (Linux before Node 20), so watch every directory
+    // and pick up directories as they appear
+    const watchers = new Map();
+    const addWatcher = relativeDir => {
+      if (watchers.has(relativeDir)) return;
+      try {
+        watchers.set(relativeDir, fsWatch(path.join(dirAbs, relativeDir), (eventType, fileName) => {
+          if (!fileName) {
+            onChange(null);
+            return;
+          }
+          const relativePath = path.join(relativeDir, fileName.toString());
+          onChange(relativePath);
+          this.getDirectoriesRecursively(path.join(dirAbs, relativePath), dirAbs)
+            .then(dirs => [relativePath, ...dirs].forEach(addWatcher))
+            .catch(() => {});
+        }));
+      } catch (error) {
+        // Not a directory, or already gone
+      }
+    };
+    
+    addWatcher('');
+    this.getDirectoriesRecursively(dirAbs).then(dirs => dirs.forEach(addWatcher)).catch(() => {});
+    
+    return () => {
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    };
+  }
+
+  /**
+   * Sync only the given paths (and everything below them) from source to destination
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @param {string[]} relativePaths - Changed paths relative to the source
+   * @returns {Promise<Object>} - Counts of copied, deleted and skipped files
+   */
+  async syncPaths(sourceAbs, destAbs, relativePaths) {
+    this.log(`Syncing ${relativePaths.length} changed path(s)`);
+    
+    const sourceTree = { files: [], dirs: [], links: [], unfollowed: [] };
+    const destTree = { files: [], dirs: [], links: [], unfollowed: [] };
+    const addTree = (tree, subtree) => Object.keys(tree).forEach(key => tree[key].push(...subtree[key]));
+    
+    for (const relativePath of relativePaths) {
+      // A renamed file's output lives elsewhere in the destination, and has to go when the file does
+      const outputPath = renamePath(this.transformsFor(relativePath), relativePath);
+      const [sourceEntries, ...destEntries] = await Promise.all([
+        this.scanPath(sourceAbs, relativePath, this.symlinks === 'follow'),
+        this.scanPath(destAbs, relativePath, false, this.destinationFs),
+        ...(outputPath !== relativePath ? [this.scanPath(destAbs, outputPath, false, this.destinationFs)] : [])
+      ]);
+      addTree(sourceTree, sourceEntries);
+      destEntries.forEach(entries => addTree(destTree, entries));
+    }
+    
+    // Changed paths may overlap, e.g. a directory and a file inside it
+    const unique = tree => {
+      ['files', 'dirs', 'links'].forEach(key => { tree[key] = [...new Set(tree[key])].sort(); });
+      tree.unfollowed = tree.unfollowed.filter((link, i, all) => all.findIndex(other => other.path === link.path) === i);
+      return tree;
+    };
+    unique(sourceTree);
+    unique(destTree);
+    
+    // Ignore files in the changed paths' parent directories apply too
+    const ancestorDirs = new Set(['']);
+    for (const relativePath of relativePaths) {
+      for (let dir = path.dirname(relativePath); dir !== '.'; dir = path.dirname(dir)) {
+        ancestorDirs.add(dir);
+      }
+    }
+    
+    // Changes inside the parent directories alter their mtimes, which preserved times put back
+    if (this.preserveMetadata) {
+      const isDir = (fileSystem, dirPath) => fileSystem.stat(dirPath).then(stat => stat.isDirectory(), () => false);
+      for (const dir of ancestorDirs) {
+        if (dir === '' || sourceTree.dirs.includes(dir)) continue;
+        if (await isDir(this.sourceFs, path.join(sourceAbs, dir)) && await isDir(this.destinationFs, path.join(destAbs, dir))) {
+          sourceTree.dirs.push(dir);
+          destTree.dirs.push(dir);
         }
       }
+      sourceTree.dirs.sort();
+    }
+    
+    const rules = await this.loadRules(sourceAbs, sourceTree.files, [...ancestorDirs]);
+    const sourceEntries = [
+      ...sourceTree.dirs.map(dir => ({ kind: 'dir', path: dir })),
+      ...sourceTree.files.map(file => ({ kind: 'file', path: file })),
+      ...sourceTree.links.map(link => ({ kind: 'link', path: link })),
+      ...sourceTree.unfollowed.map(link => ({ kind: 'unfollowed', ...link }))
+    ];
+    const actions = await this.planActions(sourceAbs, destAbs, sourceEntries, destTree, rules);
+    
+    return this.apply({ source: sourceAbs, destination: destAbs, actions });
+  }
+
+  /**
+   * List the entries at a relative path and below it
+   * @param {string} basePath - Base directory path
+   * @param {string} relativePath - Path relative to the base directory
+   * @param {boolean} [followLinks] - Walk through symlinks as if they were their targets
+   * @param {Object} [fileSystem] - File system adapter to read (default: the source's)
+   * @returns {Promise<Object>} - Relative `files`, `dirs`, `links` and `unfollowed` links, as `scanTree()` returns them
+   */
+  async scanPath(basePath, relativePath, followLinks = false, fileSystem = this.sourceFs) {
+    const fullPath = path.join(basePath, relativePath);
+    const tree = { files: [], dirs: [], links: [], unfollowed: [] };
+    
+    try {
+      let stat = await fileSystem.lstat(fullPath);
+      if (stat.isSymbolicLink()) {
+        if (!followLinks) {
+          tree.links.push(relativePath);
+          return tree;
+        }
+        stat = await fileSystem.stat(fullPath).catch(() => null);
+        if (!stat) {
+          tree.unfollowed.push({ path: relativePath, reason: 'broken symlink' });
+          return tree;
+        }
+      }
+      
+      if (stat.isFile()) {
+        tree.files.push(relativePath);
+      } else if (stat.isDirectory()) {
+        const subtree = await this.scanTree(fullPath, basePath, followLinks, fileSystem);
+        return { ...subtree, dirs: [relativePath, ...subtree.dirs] };
+      }
     } catch (error) {
       if (error.code !== 'ENOENT') {
         throw error;
       }
     }
     
-    return directories;
+    return tree;
+  }
+
+  /**
+   * Remove empty directories from destination that don't exist in source
+   * @deprecated Every `sync()` removes them; this applies only the `rmdir` actions of a plan
+   * @param {string} destAbs - Absolute destination path
+   * @param {string} sourceAbs - Absolute source path
+   * @returns {Promise<Object>} - Same result as `apply()`
+   */
+  async cleanupEmptyDirectories(destAbs, sourceAbs) {
+    const plan = await this.plan(sourceAbs, destAbs);
+    const actions = plan.actions.filter(action => action.type === 'rmdir' && action.to !== 'source');
+    return this.apply({ ...plan, bidirectional: false, actions });
+  }
+
+  /**
+   * Get all directories recursively from a directory
+   * @param {string} dirPath - Directory path
+   * @param {string} basePath - Base path for relative paths
+   * @returns {Promise<string[]>} - Array of relative directory paths
+   */
+  async getDirectoriesRecursively(dirPath, basePath = dirPath) {
+    return (await this.scanTree(dirPath, basePath)).dirs;
   }
 }
 
+IdaSync.MemoryFileSystem = MemoryFileSystem;
+IdaSync.nodeFileSystem = nodeFileSystem;
+
 module.exports = IdaSync;
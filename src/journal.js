@@ -0,0 +1,320 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Journal of the changes a transactional sync makes to its destination
+ *
+ * Every change is recorded before it is made, in a folder inside the
+ * destination:
+ *
+ *   <destination>/.idasync-journal/journal.jsonl
+ *   <destination>/.idasync-journal/files/<relative path>
+ *   <destination>/.idasync-journal/tmp/
+ *
+ * `journal.jsonl` holds one JSON step per line. Files about to be overwritten
+ * or deleted are hard-linked (or copied) into `files/` first, and new files are
+ * written in `tmp/` before they are renamed into place. Rolling back
+ * undoes the steps in reverse order; a journal left behind by an interrupted
+ * sync is rolled back the same way by `Journal.recover()`.
+ *
+ * Steps:
+ * - `{op: 'mkdir', path}`: A directory is created
+ * - `{op: 'create', path}`: A file or link is created where there was none
+ * - `{op: 'save', path}`: A file or link is overwritten or deleted; the original is in `files/`
+ * - `{op: 'rmdir', path, mode, atimeMs, mtimeMs}`: A directory is removed
+ * - `{op: 'metadata', path, mode, uid, gid, atimeMs, mtimeMs}`: Metadata is changed
+ */
+
+const JOURNAL_DIR = '.idasync-journal';
+const JOURNAL_FILE = 'journal.jsonl';
+const FILES_DIR = 'files';
+const TEMP_DIR = 'tmp';
+
+class Journal {
+  /**
+   * @param {string} destination - Absolute destination path
+   */
+  constructor(destination) {
+    this.destination = destination;
+    this.dir = Journal.dirPath(destination);
+    this.logPath = path.join(this.dir, JOURNAL_FILE);
+    this.tempDir = path.join(this.dir, TEMP_DIR);
+  }
+
+  /**
+   * Path of the journal folder of a destination
+   * @param {string} destination - Absolute destination path
+   * @returns {string} - Journal folder path
+   */
+  static dirPath(destination) {
+    return path.join(destination, JOURNAL_DIR);
+  }
+
+  /**
+   * Check whether a destination has a journal, i.e. a sync of it was interrupted
+   * @param {string} destination - Absolute destination path
+   * @returns {Promise<boolean>} - True if a journal exists
+   */
+  static async exists(destination) {
+    try {
+      await fs.access(Journal.dirPath(destination));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Roll back the journal an interrupted sync left in a destination
+   * @param {string} destination - Absolute destination path
+   * @returns {Promise<number|null>} - Number of steps undone, or null if there was no journal
+   */
+  static async recover(destination) {
+    if (!(await Journal.exists(destination))) return null;
+    return new Journal(destination).rollback();
+  }
+
+  /**
+   * Start a new journal
+   * @returns {Promise<Journal>} - This journal
+   */
+  async begin() {
+    await fs.mkdir(this.destination, { recursive: true });
+    // Failing here when a journal exists keeps an unrecovered one from being overwritten
+    await fs.mkdir(this.dir);
+    await fs.mkdir(this.tempDir);
+    await this.append({ op: 'begin', version: 1, startedAt: new Date().toISOString() });
+    return this;
+  }
+
+  /**
+   * Record a file or link that is about to be created, overwritten or deleted.
+   * An existing one is kept in `files/`; for a new one, any parent directories
+   * that don't exist yet are recorded too.
+   * @param {string} relativePath - Path relative to the destination
+   */
+  async willChange(relativePath) {
+    const filePath = path.join(this.destination, relativePath);
+    const savedPath = path.join(this.dir, FILES_DIR, relativePath);
+
+    try {
+      await fs.lstat(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await this.willMkdir(path.dirname(relativePath));
+      await this.append({ op: 'create', path: toPortable(relativePath) });
+      return;
+    }
+
+    // Only the first version seen is the one to go back to
+    if (!(await fs.lstat(savedPath).then(() => true, () => false))) {
+      await fs.mkdir(path.dirname(savedPath), { recursive: true });
+      await saveEntry(filePath, savedPath);
+    }
+    await this.append({ op: 'save', path: toPortable(relativePath) });
+  }
+
+  /**
+   * Record that a directory is about to be created, along with any of its
+   * parents that don't exist yet. Existing directories are not recorded.
+   * @param {string} relativePath - Path relative to the destination ('.' for the destination itself)
+   */
+  async willMkdir(relativePath) {
+    const missing = [];
+    for (let dir = relativePath; dir !== '.' && dir !== ''; dir = path.dirname(dir)) {
+      try {
+        await fs.stat(path.join(this.destination, dir));
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        missing.unshift(dir);
+      }
+    }
+
+    for (const dir of missing) {
+      await this.append({ op: 'mkdir', path: toPortable(dir) });
+    }
+  }
+
+  /**
+   * Record a directory that is about to be removed
+   * @param {string} relativePath - Path relative to the destination
+   */
+  async willRemoveDir(relativePath) {
+    const stat = await fs.stat(path.join(this.destination, relativePath)).catch(() => null);
+    if (!stat) return;
+    await this.append({ op: 'rmdir', path: toPortable(relativePath), mode: stat.mode & 0o7777, atimeMs: stat.atimeMs, mtimeMs: stat.mtimeMs });
+  }
+
+  /**
+   * Record the metadata of a file or directory that is about to change
+   * @param {string} relativePath - Path relative to the destination
+   */
+  async willChangeMetadata(relativePath) {
+    const stat = await fs.stat(path.join(this.destination, relativePath)).catch(() => null);
+    if (!stat) return;
+    await this.append({
+      op: 'metadata',
+      path: toPortable(relativePath),
+      mode: stat.mode & 0o7777,
+      uid: stat.uid,
+      gid: stat.gid,
+      atimeMs: stat.atimeMs,
+      mtimeMs: stat.mtimeMs
+    });
+  }
+
+  /**
+   * Drop the journal once every change went through
+   */
+  async commit() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+
+  /**
+   * Undo the recorded steps, newest first, and drop the journal
+   * @returns {Promise<number>} - Number of steps undone
+   */
+  async rollback() {
+    let text = '';
+    try {
+      text = await fs.readFile(this.logPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // The last line may be cut short if the process died while writing it
+    const steps = text.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    }).filter(step => step && step.op !== 'begin');
+
+    for (const step of [...steps].reverse()) {
+      await this.undo(step);
+    }
+
+    await this.commit();
+    return steps.length;
+  }
+
+  /**
+   * Undo a single step. Steps whose change never happened are left alone.
+   * @param {Object} step - Journal step
+   */
+  async undo(step) {
+    const relativePath = toNative(step.path);
+    const filePath = path.join(this.destination, relativePath);
+
+    switch (step.op) {
+      case 'create':
+        await ignoreMissing(fs.unlink(filePath));
+        break;
+      case 'save': {
+        const savedPath = path.join(this.dir, FILES_DIR, relativePath);
+        try {
+          await fs.lstat(savedPath);
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.rename(savedPath, filePath);
+        break;
+      }
+      case 'mkdir':
+        try {
+          await fs.rmdir(filePath);
+        } catch (error) {
+          // Something else was put there since, or it was never created
+          if (!['ENOENT', 'ENOTEMPTY', 'EEXIST', 'ENOTDIR'].includes(error.code)) throw error;
+        }
+        break;
+      case 'rmdir':
+        await fs.mkdir(filePath, { recursive: true });
+        await fs.chmod(filePath, step.mode);
+        await fs.utimes(filePath, step.atimeMs / 1000, step.mtimeMs / 1000);
+        break;
+      case 'metadata': {
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (!stat) return;
+        if (stat.uid !== step.uid || stat.gid !== step.gid) {
+          await fs.chown(filePath, step.uid, step.gid);
+        }
+        await fs.chmod(filePath, step.mode);
+        await fs.utimes(filePath, step.atimeMs / 1000, step.mtimeMs / 1000);
+        break;
+      }
+      default:
+        throw new Error(`Unknown journal step in ${this.logPath}: ${step.op}`);
+    }
+  }
+
+  /**
+   * Append a step to the journal file
+   * @param {Object} step - Journal step
+   */
+  async append(step) {
+    await fs.appendFile(this.logPath, `${JSON.stringify(step)}\n`);
+  }
+}
+
+/**
+ * Keep a copy of a file or link, as a hard link where the file system allows.
+ * Files are only ever replaced by renaming a new file over them, so the linked
+ * original stays as it was.
+ * @param {string} filePath - Path of the file or link
+ * @param {string} savedPath - Where to keep it
+ */
+async function saveEntry(filePath, savedPath) {
+  try {
+    await fs.link(filePath, savedPath);
+    return;
+  } catch (error) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK'].includes(error.code)) {
+      throw error;
+    }
+  }
+
+  const stat = await fs.lstat(filePath);
+  if (stat.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(filePath), savedPath);
+  } else {
+    await fs.copyFile(filePath, savedPath);
+    await fs.utimes(savedPath, stat.atime, stat.mtime);
+  }
+}
+
+/**
+ * Wait for a file system call, treating a missing path as success
+ * @param {Promise} promise - Pending call
+ */
+async function ignoreMissing(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Convert a relative path to `/` separators for the journal
+ * @param {string} relativePath - Path with platform separators
+ * @returns {string} - Path with `/` separators
+ */
+function toPortable(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Convert a relative path from the journal to platform separators
+ * @param {string} relativePath - Path with `/` separators
+ * @returns {string} - Path with platform separators
+ */
+function toNative(relativePath) {
+  return relativePath.split('/').join(path.sep);
+}
+
+module.exports = Journal;
@@ -0,0 +1,68 @@
+/**
+ * Helpers for running async work with bounded concurrency
+ */
+
+/**
+ * Create a function that runs tasks with at most `concurrency` in flight
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Function} - Takes an async function and resolves to its result once it has run
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Map items through an async function with bounded concurrency. Results keep
+ * the order of the items. After a failure no new items are started, the ones
+ * in flight are awaited, then the first error is thrown.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapLimit(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let index = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (index < items.length && !failure) {
+      const i = index++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  if (failure) throw failure.error;
+  return results;
+}
+
+module.exports = {
+  createLimiter,
+  mapLimit
+};
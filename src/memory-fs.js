@@ -0,0 +1,541 @@
+const path = require('path');
+const { constants } = require('fs');
+const { Readable, Writable } = require('stream');
+
+/**
+ * In-memory file system
+ *
+ * Implements the file system adapter interface (see `fs-adapter.js`) on a map
+ * of paths to nodes, for tests and for syncing to or from data that never
+ * touches the disk. Symlinks, modes, owners and times are kept; errors carry
+ * the same codes as Node's.
+ */
+
+const MAX_LINK_HOPS = 40;
+const CHUNK_SIZE = 64 * 1024;
+
+const ERROR_MESSAGES = {
+  ENOENT: 'no such file or directory',
+  EEXIST: 'file already exists',
+  ENOTDIR: 'not a directory',
+  EISDIR: 'illegal operation on a directory',
+  ENOTEMPTY: 'directory not empty',
+  EINVAL: 'invalid argument',
+  ELOOP: 'too many symbolic links encountered',
+  EBUSY: 'resource busy or locked'
+};
+
+const TYPE_BITS = {
+  file: constants.S_IFREG,
+  dir: constants.S_IFDIR,
+  link: constants.S_IFLNK
+};
+
+/**
+ * Create an error like the ones Node's fs functions throw
+ * @param {string} code - Error code, such as 'ENOENT'
+ * @param {string} syscall - Name of the failed operation
+ * @param {string} filePath - Path the operation was given
+ * @returns {Error} - Error with `code`, `syscall` and `path`
+ */
+function fsError(code, syscall, filePath) {
+  const error = new Error(`${code}: ${ERROR_MESSAGES[code]}, ${syscall} '${filePath}'`);
+  return Object.assign(error, { code, syscall, path: filePath });
+}
+
+/**
+ * Convert a time given to utimes() to milliseconds
+ * @param {Date|number|string} time - Date, or seconds since the epoch
+ * @returns {number} - Milliseconds since the epoch
+ */
+function toMs(time) {
+  return time instanceof Date ? time.getTime() : Number(time) * 1000;
+}
+
+/**
+ * Stats of a node, shaped like `fs.Stats`
+ */
+class MemoryStats {
+  /**
+   * @param {Object} node - File system node
+   */
+  constructor(node) {
+    const size = node.type === 'file' ? node.content.length : node.type === 'link' ? Buffer.byteLength(node.target) : 0;
+    Object.assign(this, {
+      dev: 0,
+      ino: node.ino,
+      mode: TYPE_BITS[node.type] | node.mode,
+      nlink: 1,
+      uid: node.uid,
+      gid: node.gid,
+      size,
+      blksize: 4096,
+      blocks: Math.ceil(size / 512),
+      atimeMs: node.atimeMs,
+      mtimeMs: node.mtimeMs,
+      ctimeMs: node.ctimeMs,
+      birthtimeMs: node.birthtimeMs,
+      atime: new Date(node.atimeMs),
+      mtime: new Date(node.mtimeMs),
+      ctime: new Date(node.ctimeMs),
+      birthtime: new Date(node.birthtimeMs)
+    });
+    this.type = node.type;
+    Object.defineProperty(this, 'type', { enumerable: false });
+  }
+
+  isFile() { return this.type === 'file'; }
+  isDirectory() { return this.type === 'dir'; }
+  isSymbolicLink() { return this.type === 'link'; }
+  isBlockDevice() { return false; }
+  isCharacterDevice() { return false; }
+  isFIFO() { return false; }
+  isSocket() { return false; }
+}
+
+class MemoryFileSystem {
+  /**
+   * Create an in-memory file system
+   * @param {Object} [files] - Initial content: absolute paths mapped to file content (a string or a Buffer),
+   *   or to null for an empty directory. Parent directories are created as needed.
+   */
+  constructor(files = {}) {
+    this.nodes = new Map();
+    this.nextIno = 1;
+    const root = path.parse(path.resolve('/')).root;
+    this.nodes.set(root, this.createNode('dir'));
+
+    for (const [filePath, content] of Object.entries(files)) {
+      const fullPath = path.resolve(filePath);
+      this.mkdirSync(content === null ? fullPath : path.dirname(fullPath));
+      if (content !== null) this.setNode(fullPath, this.createNode('file', { content: Buffer.from(content) }));
+    }
+  }
+
+  /**
+   * Create a node
+   * @param {string} type - 'file', 'dir' or 'link'
+   * @param {Object} [fields] - Type-specific fields (content, target)
+   * @returns {Object} - New node
+   */
+  createNode(type, fields = {}) {
+    const now = Date.now();
+    return {
+      type,
+      ino: this.nextIno++,
+      mode: type === 'dir' ? 0o755 : type === 'link' ? 0o777 : 0o644,
+      uid: typeof process.getuid === 'function' ? process.getuid() : 0,
+      gid: typeof process.getgid === 'function' ? process.getgid() : 0,
+      atimeMs: now,
+      mtimeMs: now,
+      ctimeMs: now,
+      birthtimeMs: now,
+      children: type === 'dir' ? new Set() : undefined,
+      ...fields
+    };
+  }
+
+  /**
+   * Put a node at a path, registering it with its parent directory
+   * @param {string} fullPath - Absolute path
+   * @param {Object} node - Node to store
+   */
+  setNode(fullPath, node) {
+    this.nodes.set(fullPath, node);
+    const parent = this.nodes.get(path.dirname(fullPath));
+    parent.children.add(path.basename(fullPath));
+    parent.mtimeMs = parent.ctimeMs = Date.now();
+  }
+
+  /**
+   * Remove a node from its path and from its parent directory
+   * @param {string} fullPath - Absolute path
+   */
+  deleteNode(fullPath) {
+    this.nodes.delete(fullPath);
+    const parent = this.nodes.get(path.dirname(fullPath));
+    parent.children.delete(path.basename(fullPath));
+    parent.mtimeMs = parent.ctimeMs = Date.now();
+  }
+
+  /**
+   * Find the node a path points to, following symlinks on the way
+   * @param {string} filePath - Path as given to the operation
+   * @param {string} syscall - Operation name, for errors
+   * @param {boolean} [followLast] - Whether to follow a symlink in the last component
+   * @param {number} [hops] - Symlinks followed so far
+   * @returns {Object} - `{path, node}`, where the node is undefined if only the parent exists
+   */
+  resolve(filePath, syscall, followLast = true, hops = 0) {
+    const fullPath = path.resolve(filePath);
+    const { root } = path.parse(fullPath);
+    const parts = fullPath.slice(root.length).split(path.sep).filter(Boolean);
+    let current = root;
+
+    for (let i = 0; i < parts.length; i++) {
+      const isLast = i === parts.length - 1;
+      if (this.nodes.get(current).type !== 'dir') throw fsError('ENOTDIR', syscall, filePath);
+
+      const next = path.join(current, parts[i]);
+      const node = this.nodes.get(next);
+      if (!node) {
+        if (!isLast) throw fsError('ENOENT', syscall, filePath);
+        return { path: next, node: undefined };
+      }
+      if (node.type === 'link' && (!isLast || followLast)) {
+        if (hops >= MAX_LINK_HOPS) throw fsError('ELOOP', syscall, filePath);
+        const resolved = this.resolve(path.resolve(current, node.target), syscall, true, hops + 1);
+        if (!resolved.node && !isLast) throw fsError('ENOENT', syscall, filePath);
+        if (isLast) return resolved;
+        current = resolved.path;
+      } else {
+        current = next;
+      }
+    }
+    return { path: current, node: this.nodes.get(current) };
+  }
+
+  /**
+   * Find an existing node
+   * @param {string} filePath - Path as given to the operation
+   * @param {string} syscall - Operation name, for errors
+   * @param {boolean} [followLast] - Whether to follow a symlink in the last component
+   * @returns {Object} - `{path, node}`
+   */
+  existing(filePath, syscall, followLast = true) {
+    const resolved = this.resolve(filePath, syscall, followLast);
+    if (!resolved.node) throw fsError('ENOENT', syscall, filePath);
+    return resolved;
+  }
+
+  /**
+   * Find where a new node goes, checking its parent is a directory
+   * @param {string} filePath - Path as given to the operation
+   * @param {string} syscall - Operation name, for errors
+   * @returns {Object} - `{path, node}`, where the node is the one already there, if any
+   */
+  target(filePath, syscall) {
+    const fullPath = path.resolve(filePath);
+    const parent = this.resolve(path.dirname(fullPath), syscall);
+    if (!parent.node) throw fsError('ENOENT', syscall, filePath);
+    if (parent.node.type !== 'dir') throw fsError('ENOTDIR', syscall, filePath);
+    const entryPath = path.join(parent.path, path.basename(fullPath));
+    return { path: entryPath, node: this.nodes.get(entryPath) };
+  }
+
+  /**
+   * Create a directory and its missing parents
+   * @param {string} dirPath - Directory path
+   * @param {string} [syscall] - Operation name, for errors
+   * @returns {string|undefined} - First directory created, if any
+   */
+  mkdirSync(dirPath, syscall = 'mkdir') {
+    // Parents go first, as a missing one would stop the lookup
+    const fullPath = path.resolve(dirPath);
+    const parentPath = path.dirname(fullPath);
+    const first = parentPath !== fullPath ? this.mkdirSync(parentPath, syscall) : undefined;
+    const resolved = this.resolve(fullPath, syscall);
+    if (resolved.node) {
+      if (resolved.node.type !== 'dir') throw fsError('EEXIST', syscall, dirPath);
+      return undefined;
+    }
+    const parent = this.target(resolved.path, syscall);
+    this.setNode(parent.path, this.createNode('dir'));
+    return first || parent.path;
+  }
+
+  /**
+   * Write a file's content, creating or replacing it
+   * @param {string} filePath - File path
+   * @param {Buffer} content - New content
+   * @param {string} syscall - Operation name, for errors
+   */
+  writeSync(filePath, content, syscall) {
+    let resolved = this.resolve(filePath, syscall);
+    if (!resolved.node) resolved = this.target(resolved.path, syscall);
+    if (resolved.node && resolved.node.type === 'dir') throw fsError('EISDIR', syscall, filePath);
+
+    if (resolved.node) {
+      resolved.node.content = content;
+      resolved.node.mtimeMs = resolved.node.ctimeMs = Date.now();
+    } else {
+      this.setNode(resolved.path, this.createNode('file', { content }));
+    }
+  }
+
+  /**
+   * Read a file's content
+   * @param {string} filePath - File path
+   * @param {string} syscall - Operation name, for errors
+   * @returns {Buffer} - The stored content
+   */
+  readSync(filePath, syscall) {
+    const { node } = this.existing(filePath, syscall);
+    if (node.type === 'dir') throw fsError('EISDIR', syscall, filePath);
+    node.atimeMs = Date.now();
+    return node.content;
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<Array>} - Entries with `name` and `isFile()`, `isDirectory()` and `isSymbolicLink()`
+   */
+  async readdir(dirPath) {
+    const resolved = this.existing(dirPath, 'scandir');
+    if (resolved.node.type !== 'dir') throw fsError('ENOTDIR', 'scandir', dirPath);
+
+    return [...resolved.node.children].sort().map(name => {
+      const { type } = this.nodes.get(path.join(resolved.path, name));
+      return {
+        name,
+        isFile: () => type === 'file',
+        isDirectory: () => type === 'dir',
+        isSymbolicLink: () => type === 'link'
+      };
+    });
+  }
+
+  /**
+   * Get the stats of a path, following symlinks
+   * @param {string} filePath - Path
+   * @returns {Promise<MemoryStats>} - Stats
+   */
+  async stat(filePath) {
+    return new MemoryStats(this.existing(filePath, 'stat').node);
+  }
+
+  /**
+   * Get the stats of a path, without following a symlink at the end
+   * @param {string} filePath - Path
+   * @returns {Promise<MemoryStats>} - Stats
+   */
+  async lstat(filePath) {
+    return new MemoryStats(this.existing(filePath, 'lstat', false).node);
+  }
+
+  /**
+   * Resolve a path to the one it points to after symlinks
+   * @param {string} filePath - Path
+   * @returns {Promise<string>} - Canonical absolute path
+   */
+  async realpath(filePath) {
+    return this.existing(filePath, 'realpath').path;
+  }
+
+  /**
+   * Read the target of a symlink
+   * @param {string} linkPath - Symlink path
+   * @returns {Promise<string>} - Target as stored
+   */
+  async readlink(linkPath) {
+    const { node } = this.existing(linkPath, 'readlink', false);
+    if (node.type !== 'link') throw fsError('EINVAL', 'readlink', linkPath);
+    return node.target;
+  }
+
+  /**
+   * Create a symlink
+   * @param {string} target - Target the symlink points to
+   * @param {string} linkPath - Symlink path
+   */
+  async symlink(target, linkPath) {
+    const entry = this.target(linkPath, 'symlink');
+    if (entry.node) throw fsError('EEXIST', 'symlink', linkPath);
+    this.setNode(entry.path, this.createNode('link', { target }));
+  }
+
+  /**
+   * Create a directory
+   * @param {string} dirPath - Directory path
+   * @param {Object} [options] - `{recursive}` to create missing parents and accept an existing directory
+   * @returns {Promise<string|undefined>} - First directory created, when recursive
+   */
+  async mkdir(dirPath, options = {}) {
+    if (options.recursive) return this.mkdirSync(dirPath);
+
+    const entry = this.target(dirPath, 'mkdir');
+    if (entry.node) throw fsError('EEXIST', 'mkdir', dirPath);
+    this.setNode(entry.path, this.createNode('dir'));
+    return undefined;
+  }
+
+  /**
+   * Remove a file or symlink
+   * @param {string} filePath - Path
+   */
+  async unlink(filePath) {
+    const resolved = this.existing(filePath, 'unlink', false);
+    if (resolved.node.type === 'dir') throw fsError('EISDIR', 'unlink', filePath);
+    this.deleteNode(resolved.path);
+  }
+
+  /**
+   * Remove an empty directory
+   * @param {string} dirPath - Directory path
+   */
+  async rmdir(dirPath) {
+    const resolved = this.existing(dirPath, 'rmdir', false);
+    if (resolved.node.type !== 'dir') throw fsError('ENOTDIR', 'rmdir', dirPath);
+    if (resolved.node.children.size > 0) throw fsError('ENOTEMPTY', 'rmdir', dirPath);
+    if (path.dirname(resolved.path) === resolved.path) throw fsError('EBUSY', 'rmdir', dirPath);
+    this.deleteNode(resolved.path);
+  }
+
+  /**
+   * Set the access and modification times of a path
+   * @param {string} filePath - Path
+   * @param {Date|number} atime - Access time, a Date or seconds since the epoch
+   * @param {Date|number} mtime - Modification time, a Date or seconds since the epoch
+   */
+  async utimes(filePath, atime, mtime) {
+    const { node } = this.existing(filePath, 'utime');
+    node.atimeMs = toMs(atime);
+    node.mtimeMs = toMs(mtime);
+    node.ctimeMs = Date.now();
+  }
+
+  /**
+   * Move a file, symlink or directory, replacing what is at the new path
+   * @param {string} oldPath - Current path
+   * @param {string} newPath - New path
+   */
+  async rename(oldPath, newPath) {
+    const from = this.existing(oldPath, 'rename', false);
+    const to = this.target(newPath, 'rename');
+    if (from.path === to.path) return;
+
+    if (from.node.type === 'dir' && (to.path + path.sep).startsWith(from.path + path.sep)) {
+      throw fsError('EINVAL', 'rename', oldPath);
+    }
+    if (to.node) {
+      if (to.node.type === 'dir' && from.node.type !== 'dir') throw fsError('EISDIR', 'rename', newPath);
+      if (to.node.type !== 'dir' && from.node.type === 'dir') throw fsError('ENOTDIR', 'rename', newPath);
+      if (to.node.type === 'dir' && to.node.children.size > 0) throw fsError('ENOTEMPTY', 'rename', newPath);
+      this.deleteNode(to.path);
+    }
+
+    const moved = [...this.nodes.keys()].filter(key => key.startsWith(from.path + path.sep));
+    this.deleteNode(from.path);
+    this.setNode(to.path, from.node);
+    for (const key of moved) {
+      const node = this.nodes.get(key);
+      this.nodes.delete(key);
+      this.nodes.set(to.path + key.slice(from.path.length), node);
+    }
+  }
+
+  /**
+   * Change the permission bits of a path
+   * @param {string} filePath - Path
+   * @param {number} mode - Permission bits
+   */
+  async chmod(filePath, mode) {
+    const { node } = this.existing(filePath, 'chmod');
+    node.mode = mode & 0o7777;
+    node.ctimeMs = Date.now();
+  }
+
+  /**
+   * Change the owner of a path
+   * @param {string} filePath - Path
+   * @param {number} uid - User id
+   * @param {number} gid - Group id
+   */
+  async chown(filePath, uid, gid) {
+    const { node } = this.existing(filePath, 'chown');
+    Object.assign(node, { uid, gid, ctimeMs: Date.now() });
+  }
+
+  /**
+   * Read a whole file
+   * @param {string} filePath - File path
+   * @param {string|Object} [options] - Encoding, or `{encoding}`
+   * @returns {Promise<Buffer|string>} - Content, as a string if an encoding is given
+   */
+  async readFile(filePath, options) {
+    const encoding = typeof options === 'string' ? options : options && options.encoding;
+    const content = Buffer.from(this.readSync(filePath, 'open'));
+    return encoding ? content.toString(encoding) : content;
+  }
+
+  /**
+   * Write a whole file, creating or replacing it
+   * @param {string} filePath - File path
+   * @param {Buffer|string} data - Content
+   */
+  async writeFile(filePath, data) {
+    this.writeSync(filePath, Buffer.from(data), 'open');
+  }
+
+  /**
+   * Copy a file's content and mode
+   * @param {string} sourcePath - File to copy
+   * @param {string} destPath - Where to write the copy
+   */
+  async copyFile(sourcePath, destPath) {
+    const { node } = this.existing(sourcePath, 'copyfile');
+    const content = this.readSync(sourcePath, 'copyfile');
+    this.writeSync(destPath, Buffer.from(content), 'copyfile');
+    this.existing(destPath, 'copyfile').node.mode = node.mode;
+  }
+
+  /**
+   * Open a stream of a file's content
+   * @param {string} filePath - File path
+   * @returns {Readable} - Stream of Buffer chunks
+   */
+  createReadStream(filePath) {
+    const fileSystem = this;
+    return Readable.from((async function* () {
+      const content = fileSystem.readSync(filePath, 'open');
+      for (let offset = 0; offset < content.length; offset += CHUNK_SIZE) {
+        yield content.subarray(offset, offset + CHUNK_SIZE);
+      }
+    })(), { objectMode: false });
+  }
+
+  /**
+   * Open a stream that writes a file once it ends
+   * @param {string} filePath - File path
+   * @returns {Writable} - Stream accepting Buffer or string chunks
+   */
+  createWriteStream(filePath) {
+    const chunks = [];
+    this.writeSync(filePath, Buffer.alloc(0), 'open');
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(Buffer.from(chunk, encoding));
+        callback();
+      },
+      final: callback => {
+        try {
+          this.writeSync(filePath, Buffer.concat(chunks), 'write');
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Snapshot a directory tree, mainly for tests
+   * @param {string} [dirPath] - Directory to snapshot
+   * @returns {Object} - Relative paths mapped to file content as UTF-8, `null` for directories
+   *   and `{symlink}` for symlinks
+   */
+  toObject(dirPath = '/') {
+    const root = this.existing(dirPath, 'scandir').path;
+    const result = {};
+    for (const [fullPath, node] of [...this.nodes.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      if (fullPath === root || !fullPath.startsWith(root === path.parse(root).root ? root : root + path.sep)) continue;
+      const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+      result[relativePath] = node.type === 'file' ? node.content.toString('utf8')
+        : node.type === 'link' ? { symlink: node.target } : null;
+    }
+    return result;
+  }
+}
+
+module.exports = MemoryFileSystem;
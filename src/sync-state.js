@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Snapshot of both trees after a bidirectional sync
+ *
+ * The next run compares each side against the snapshot to tell what was
+ * created, modified or deleted there since. Stored as JSON:
+ *
+ *   {
+ *     version: 1,
+ *     source: '/abs/source',
+ *     destination: '/abs/destination',
+ *     files: { 'dir/file.txt': { source: { size, mtimeMs }, destination: { size, mtimeMs } } },
+ *     dirs: ['dir']
+ *   }
+ *
+ * A side the file didn't exist on is `null`. Paths use `/` separators.
+ */
+
+class SyncState {
+  /**
+   * @param {string} statePath - Path of the JSON state file
+   */
+  constructor(statePath) {
+    this.statePath = statePath;
+    this.files = new Map();
+    this.dirs = new Set();
+    this.saved = null;
+  }
+
+  /**
+   * Read the state file. A missing file, or one written for another pair of
+   * trees, gives an empty state, as on a first run.
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @returns {Promise<SyncState>} - This state
+   */
+  async load(sourceAbs, destAbs) {
+    let data;
+    try {
+      this.saved = await fs.readFile(this.statePath, 'utf8');
+      data = JSON.parse(this.saved);
+    } catch (error) {
+      if (error.code === 'ENOENT') return this;
+      throw new Error(`Invalid sync state file ${this.statePath}: ${error.message}`);
+    }
+
+    if (data.version !== 1 || data.source !== sourceAbs || data.destination !== destAbs) {
+      return this;
+    }
+
+    for (const [relativePath, entry] of Object.entries(data.files || {})) {
+      this.files.set(toNative(relativePath), entry);
+    }
+    for (const relativeDir of data.dirs || []) {
+      this.dirs.add(toNative(relativeDir));
+    }
+    return this;
+  }
+
+  /**
+   * Get the recorded stats of a file on both sides
+   * @param {string} relativePath - Path relative to the trees
+   * @returns {{source: Object|null, destination: Object|null}|null} - Recorded entry, or null if unknown
+   */
+  get(relativePath) {
+    return this.files.get(relativePath) || null;
+  }
+
+  /**
+   * Replace the state with a fresh snapshot and write it, unless nothing changed
+   * @param {string} sourceAbs - Absolute source path
+   * @param {string} destAbs - Absolute destination path
+   * @param {Map<string, Object>} files - Relative path to `{source, destination}` stats (or null)
+   * @param {string[]} dirs - Relative directories present on both sides
+   */
+  async save(sourceAbs, destAbs, files, dirs) {
+    const entries = {};
+    for (const relativePath of [...files.keys()].sort()) {
+      const { source, destination } = files.get(relativePath);
+      entries[toPortable(relativePath)] = { source: pickStats(source), destination: pickStats(destination) };
+    }
+
+    const text = JSON.stringify({
+      version: 1,
+      source: sourceAbs,
+      destination: destAbs,
+      files: entries,
+      dirs: [...dirs].sort().map(toPortable)
+    }, null, 2);
+    if (text === this.saved) return;
+
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    await fs.writeFile(this.statePath, text);
+    this.saved = text;
+  }
+}
+
+/**
+ * Keep the stats that tell whether a file changed
+ * @param {fs.Stats|null} stat - File stats
+ * @returns {{size: number, mtimeMs: number}|null} - Recorded stats
+ */
+function pickStats(stat) {
+  return stat ? { size: stat.size, mtimeMs: stat.mtimeMs } : null;
+}
+
+/**
+ * Convert a relative path to `/` separators for the state file
+ * @param {string} relativePath - Path with platform separators
+ * @returns {string} - Path with `/` separators
+ */
+function toPortable(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Convert a relative path from the state file to platform separators
+ * @param {string} relativePath - Path with `/` separators
+ * @returns {string} - Path with platform separators
+ */
+function toNative(relativePath) {
+  return relativePath.split('/').join(path.sep);
+}
+
+module.exports = SyncState;
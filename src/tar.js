@@ -0,0 +1,468 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, Readable } = require('stream');
+const { promisify } = require('util');
+
+/**
+ * Reading and writing of tar archives, optionally gzip-compressed
+ *
+ * Archives are written in the POSIX (pax) format: plain ustar headers, plus an
+ * extended header for long paths and sub-second modification times, so that
+ * mtimes survive a round trip to the millisecond. The reader also understands GNU long
+ * names. Regular files, directories and symlinks are supported; other entry
+ * types are skipped.
+ */
+
+const BLOCK_SIZE = 512;
+const ARCHIVE_PATTERN = /\.(tar|tar\.gz|tgz)$/i;
+const GZIP_PATTERN = /\.(tar\.gz|tgz)$/i;
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Check whether a path names a tar archive
+ * @param {string} filePath - Path to check
+ * @returns {boolean} - True for `.tar`, `.tar.gz` and `.tgz` paths
+ */
+function isArchive(filePath) {
+  return typeof filePath === 'string' && ARCHIVE_PATTERN.test(filePath);
+}
+
+/**
+ * Extract an archive into a directory, keeping modes and modification times
+ * @param {string} archivePath - Archive to read
+ * @param {string} dirPath - Directory to extract into
+ */
+async function extractTar(archivePath, dirPath) {
+  const input = createReadStream(archivePath);
+  const stream = GZIP_PATTERN.test(archivePath)
+    ? pipeline(input, zlib.createGunzip(), () => {})
+    : input;
+
+  let buffer = Buffer.alloc(0);
+  let entry = null;
+  let extended = {};
+  let ended = false;
+  const context = { dirPath, dirTimes: [], links: new Set() };
+
+  const take = size => {
+    const chunk = buffer.subarray(0, size);
+    buffer = buffer.subarray(size);
+    return chunk;
+  };
+
+  for await (const chunk of stream) {
+    if (ended) continue;
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+    while (!ended) {
+      if (!entry) {
+        if (buffer.length < BLOCK_SIZE) break;
+        const block = take(BLOCK_SIZE);
+        if (block.every(byte => byte === 0)) {
+          ended = true;
+          break;
+        }
+        entry = await startEntry(parseHeader(block, archivePath), extended, context);
+        // Metadata entries add to the fields for the next real entry
+        if (!entry.collect) extended = {};
+        continue;
+      }
+
+      // Entry data, then padding up to the next block
+      if (entry.remaining > 0) {
+        if (buffer.length === 0) break;
+        const data = take(Math.min(entry.remaining, buffer.length));
+        entry.remaining -= data.length;
+        if (entry.handle) await entry.handle.write(data);
+        if (entry.collect) entry.collect.push(data);
+        if (entry.remaining > 0) break;
+      }
+      if (buffer.length < entry.padding) break;
+      take(entry.padding);
+
+      const finished = entry;
+      entry = null;
+      const result = await finishEntry(finished);
+      if (result) extended = { ...extended, ...result };
+    }
+  }
+
+  if (entry) {
+    if (entry.handle) await entry.handle.close();
+    throw new Error(`Unexpected end of archive: ${archivePath}`);
+  }
+
+  // Directory times last, so writing their content doesn't change them again
+  for (const { fullPath, mtime } of context.dirTimes.reverse()) {
+    await fs.utimes(fullPath, mtime, mtime);
+  }
+}
+
+/**
+ * Parse a ustar header block
+ * @param {Buffer} block - 512-byte header
+ * @param {string} archivePath - Archive being read, for error messages
+ * @returns {Object} - Header fields
+ */
+function parseHeader(block, archivePath) {
+  const checksum = readOctal(block, 148, 8);
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 32 : block[i];
+  }
+  if (checksum !== sum) {
+    throw new Error(`Invalid tar header checksum in ${archivePath}`);
+  }
+
+  const name = readString(block, 0, 100);
+  const prefix = block.subarray(257, 263).toString('latin1').startsWith('ustar') ? readString(block, 345, 155) : '';
+
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    mode: readOctal(block, 100, 8),
+    size: readOctal(block, 124, 12),
+    mtime: readOctal(block, 136, 12),
+    type: String.fromCharCode(block[156] || 48),
+    linkname: readString(block, 157, 100)
+  };
+}
+
+/**
+ * Begin extracting an entry
+ * @param {Object} header - Parsed header
+ * @param {Object} extended - Fields from a preceding pax or GNU long name header
+ * @param {Object} context - `dirPath` being extracted into, `dirTimes` to apply at the end
+ *   and relative paths of the `links` extracted so far
+ * @returns {Promise<Object>} - Entry state: `remaining` bytes, `padding`, and a file `handle` or `collect` buffer list
+ */
+async function startEntry(header, extended, context) {
+  const size = extended.size !== undefined ? Number(extended.size) : header.size;
+  const entry = { header, remaining: size, padding: (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE };
+
+  // Metadata entries are collected and applied to the next entry
+  if (['x', 'g', 'L', 'K'].includes(header.type)) {
+    entry.collect = [];
+    return entry;
+  }
+
+  const name = extended.path !== undefined ? extended.path : header.name;
+  const linkname = extended.linkpath !== undefined ? extended.linkpath : header.linkname;
+  const mtime = extended.mtime !== undefined ? Number(extended.mtime) : header.mtime;
+  const relativePath = safeRelativePath(name);
+  if (relativePath === '') return entry;
+
+  // Writing below an extracted symlink could reach outside the directory
+  for (let dir = path.dirname(relativePath); dir !== '.'; dir = path.dirname(dir)) {
+    if (context.links.has(dir)) {
+      throw new Error(`Unsafe path in archive (through a symlink): ${name}`);
+    }
+  }
+
+  const fullPath = path.join(context.dirPath, relativePath);
+  if (context.links.has(relativePath)) {
+    await fs.unlink(fullPath);
+    context.links.delete(relativePath);
+  }
+
+  if (header.type === '0' || header.type === '7') {
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    entry.handle = await fs.open(fullPath, 'w');
+    entry.fullPath = fullPath;
+    entry.mode = header.mode;
+    entry.mtime = mtime;
+  } else if (header.type === '5') {
+    await fs.mkdir(fullPath, { recursive: true });
+    await fs.chmod(fullPath, header.mode || 0o755);
+    context.dirTimes.push({ fullPath, mtime });
+  } else if (header.type === '2') {
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.rm(fullPath, { force: true });
+    await fs.symlink(linkname, fullPath);
+    context.links.add(relativePath);
+  }
+
+  return entry;
+}
+
+/**
+ * Complete an entry once its data has been read
+ * @param {Object} entry - Entry state from `startEntry()`
+ * @returns {Promise<Object|null>} - Fields for the next entry, for metadata entries
+ */
+async function finishEntry(entry) {
+  if (entry.handle) {
+    await entry.handle.close();
+    await fs.chmod(entry.fullPath, entry.mode || 0o644);
+    await fs.utimes(entry.fullPath, entry.mtime, entry.mtime);
+    return null;
+  }
+  if (!entry.collect) return null;
+
+  const data = Buffer.concat(entry.collect);
+  switch (entry.header.type) {
+    case 'x':
+      return parsePax(data);
+    case 'L':
+      return { path: readString(data, 0, data.length) };
+    case 'K':
+      return { linkpath: readString(data, 0, data.length) };
+    default:
+      // Global pax headers are ignored
+      return null;
+  }
+}
+
+/**
+ * Parse pax extended header records (`<length> <key>=<value>\n`)
+ * @param {Buffer} data - Record data
+ * @returns {Object} - Keys and values
+ */
+function parsePax(data) {
+  const fields = {};
+  let offset = 0;
+
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.subarray(offset, space).toString('latin1'), 10);
+    if (!length) break;
+
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    if (equals !== -1) {
+      fields[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    offset += length;
+  }
+
+  return fields;
+}
+
+/**
+ * Normalize an archive path and refuse ones that would escape the target directory
+ * @param {string} name - Path as stored in the archive
+ * @returns {string} - Relative path with platform separators ('' for the root)
+ */
+function safeRelativePath(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/\/+$/, '');
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') || /^[A-Za-z]:/.test(normalized)) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+  return normalized === '.' ? '' : normalized.split('/').join(path.sep);
+}
+
+/**
+ * Write a directory tree into an archive. The archive is written under a
+ * temporary name and renamed into place when complete.
+ * @param {string} dirPath - Directory to archive
+ * @param {string} archivePath - Archive to write; gzip-compressed for `.tar.gz` and `.tgz`
+ */
+async function createTar(dirPath, archivePath) {
+  const tempPath = `${archivePath}.${process.pid}.tmp`;
+  const streams = [Readable.from(tarBlocks(dirPath))];
+  if (GZIP_PATTERN.test(archivePath)) streams.push(zlib.createGzip());
+  streams.push(createWriteStream(tempPath));
+
+  await fs.mkdir(path.dirname(archivePath), { recursive: true });
+  try {
+    await pipelineAsync(...streams);
+    await fs.rename(tempPath, archivePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Generate the blocks of an archive of a directory tree, in name order
+ * @param {string} dirPath - Directory to archive
+ * @returns {AsyncGenerator<Buffer>} - Headers, file data and padding
+ */
+async function* tarBlocks(dirPath) {
+  for await (const { relativePath, fullPath, stat } of walkEntries(dirPath, '')) {
+    const name = relativePath.split(path.sep).join('/');
+    const common = { mode: stat.mode & 0o7777, uid: stat.uid, gid: stat.gid, mtimeMs: stat.mtimeMs };
+
+    if (stat.isDirectory()) {
+      yield* headerBlocks({ ...common, name: `${name}/`, type: '5', size: 0 });
+    } else if (stat.isSymbolicLink()) {
+      yield* headerBlocks({ ...common, name, type: '2', size: 0, linkname: await fs.readlink(fullPath) });
+    } else if (stat.isFile()) {
+      yield* headerBlocks({ ...common, name, type: '0', size: stat.size });
+      let written = 0;
+      for await (const chunk of createReadStream(fullPath)) {
+        written += chunk.length;
+        yield chunk;
+      }
+      if (written !== stat.size) {
+        throw new Error(`File changed while archiving: ${fullPath}`);
+      }
+      yield padding(stat.size);
+    }
+  }
+
+  // End of archive
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * List the entries below a directory, depth first in name order
+ * @param {string} dirPath - Directory to list
+ * @param {string} relativeDir - Path of the directory relative to the archive root
+ * @returns {AsyncGenerator<Object>} - `relativePath`, `fullPath` and lstat `stat` of every entry
+ */
+async function* walkEntries(dirPath, relativeDir) {
+  const names = (await fs.readdir(dirPath)).sort();
+
+  for (const name of names) {
+    const fullPath = path.join(dirPath, name);
+    const relativePath = relativeDir ? path.join(relativeDir, name) : name;
+    const stat = await fs.lstat(fullPath);
+    yield { relativePath, fullPath, stat };
+    if (stat.isDirectory()) {
+      yield* walkEntries(fullPath, relativePath);
+    }
+  }
+}
+
+/**
+ * Build the header blocks of an entry, preceded by a pax header when the
+ * path, link target, size or mtime don't fit the ustar fields
+ * @param {Object} entry - `name`, `type`, `size`, `mode`, `uid`, `gid`, `mtimeMs` and `linkname`
+ * @returns {Buffer[]} - Header blocks
+ */
+function headerBlocks(entry) {
+  // Rounded like the dates of fs.Stats, which is what syncs compare
+  const mtimeMs = Math.round(entry.mtimeMs);
+  const seconds = Math.floor(mtimeMs / 1000);
+  const records = [];
+
+  if (Buffer.byteLength(entry.name) > 100) records.push(paxRecord('path', entry.name));
+  if (entry.linkname && Buffer.byteLength(entry.linkname) > 100) records.push(paxRecord('linkpath', entry.linkname));
+  if (entry.size > 0o77777777777) records.push(paxRecord('size', String(entry.size)));
+  if (mtimeMs !== seconds * 1000) {
+    records.push(paxRecord('mtime', (mtimeMs / 1000).toFixed(3)));
+  }
+
+  const blocks = [];
+  if (records.length > 0) {
+    const data = Buffer.from(records.join(''));
+    blocks.push(createHeader({ name: `PaxHeader/${entry.name.slice(-80)}`, type: 'x', size: data.length, mode: 0o644, mtime: seconds }));
+    blocks.push(data, padding(data.length));
+  }
+  blocks.push(createHeader({ ...entry, mtime: seconds }));
+  return blocks;
+}
+
+/**
+ * Build a ustar header block
+ * @param {Object} fields - `name`, `type`, `size`, `mode`, `mtime` in seconds, and optional `uid`, `gid`, `linkname`
+ * @returns {Buffer} - 512-byte header
+ */
+function createHeader(fields) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeString(header, fields.name, 0, 100);
+  writeOctal(header, fields.mode, 100, 8);
+  writeOctal(header, fields.uid || 0, 108, 8);
+  writeOctal(header, fields.gid || 0, 116, 8);
+  writeOctal(header, Math.min(fields.size, 0o77777777777), 124, 12);
+  writeOctal(header, fields.mtime, 136, 12);
+  header.write(fields.type, 156, 'latin1');
+  writeString(header, fields.linkname || '', 157, 100);
+  header.write('ustar\u000000', 257, 'latin1');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(32, 148, 156);
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) sum += header[i];
+  header.write(`${sum.toString(8).padStart(6, '0')}\u0000 `, 148, 'latin1');
+
+  return header;
+}
+
+/**
+ * Format a pax record, whose length prefix counts itself
+ * @param {string} key - Record key
+ * @param {string} value - Record value
+ * @returns {string} - Record text
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  length += String(length + String(length).length).length;
+  return `${length}${body}`;
+}
+
+/**
+ * Zero bytes that fill a data section up to the next block
+ * @param {number} size - Data size
+ * @returns {Buffer} - Padding
+ */
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+/**
+ * Read a NUL-terminated string field
+ * @param {Buffer} buffer - Header or data
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} - Field value
+ */
+function readString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric field
+ * @param {Buffer} buffer - Header
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} - Field value
+ */
+function readOctal(buffer, offset, length) {
+  // Large values use the base-256 extension, flagged by the high bit
+  if (buffer[offset] & 0x80) {
+    let value = 0;
+    for (let i = offset + 1; i < offset + length; i++) value = value * 256 + buffer[i];
+    return value;
+  }
+  const text = buffer.subarray(offset, offset + length).toString('latin1').split('\0')[0].trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Write a string field, truncated to its length
+ * @param {Buffer} buffer - Header
+ * @param {string} value - Field value
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ */
+function writeString(buffer, value, offset, length) {
+  const bytes = Buffer.from(value);
+  bytes.copy(buffer, offset, 0, Math.min(bytes.length, length));
+}
+
+/**
+ * Write a numeric field as NUL-terminated octal; values too large for it are written as 0
+ * @param {Buffer} buffer - Header
+ * @param {number} value - Field value
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ */
+function writeOctal(buffer, value, offset, length) {
+  const digits = value.toString(8);
+  buffer.write(`${(digits.length < length ? digits : '0').padStart(length - 1, '0')}\u0000`, offset, 'latin1');
+}
+
+module.exports = {
+  isArchive,
+  extractTar,
+  createTar
+};
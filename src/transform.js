@@ -0,0 +1,184 @@
+const path = require('path');
+const { findMatchingGlob } = require('./glob');
+
+/**
+ * Per-file transform rules applied while copying
+ *
+ * Each rule has a `pattern` (a glob or a list of globs) and one or more of:
+ * - `replace`: Object mapping literal strings to their replacements
+ * - `env`: `true` to substitute `${NAME}` with environment variables, or an
+ *   object of variables to use instead
+ * - `transform`: Function `(content, file)` returning the new content
+ * - `rename`: Template for the output path, or a function `(relativePath)`
+ *   returning it. Templates may use `{dir}`, `{file}`, `{name}` (file name
+ *   without its last extension), `{stem}` (file name up to its first dot)
+ *   and `{ext}` (last extension, with the dot)
+ *
+ * Every matching rule applies, in order. Content transforms read files as
+ * UTF-8 text, and fail on files that aren't.
+ */
+
+const CONTENT_KEYS = ['replace', 'env', 'transform'];
+const RULE_KEYS = ['pattern', 'rename', ...CONTENT_KEYS];
+
+/**
+ * Check the shape of transform rules
+ * @param {Object[]} rules - Rules as given in the options
+ * @returns {Object[]} - The same rules
+ */
+function validateTransforms(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid transforms: expected a list of rules');
+  }
+
+  rules.forEach((rule, i) => {
+    const label = `Invalid transform rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label}: expected an object`);
+    }
+    if (!rule.pattern || (Array.isArray(rule.pattern) && rule.pattern.length === 0)) {
+      throw new Error(`${label}: missing pattern`);
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown key ${unknown.join(', ')}`);
+    }
+    if (!['rename', ...CONTENT_KEYS].some(key => rule[key] !== undefined)) {
+      throw new Error(`${label}: expected one of rename, replace, env or transform`);
+    }
+    if (rule.replace !== undefined && (typeof rule.replace !== 'object' || rule.replace === null)) {
+      throw new Error(`${label}: replace must map strings to replacements`);
+    }
+    if (rule.env !== undefined && rule.env !== true && (typeof rule.env !== 'object' || rule.env === null)) {
+      throw new Error(`${label}: env must be true or an object of variables`);
+    }
+    if (rule.transform !== undefined && typeof rule.transform !== 'function') {
+      throw new Error(`${label}: transform must be a function`);
+    }
+    if (rule.rename !== undefined && typeof rule.rename !== 'string' && typeof rule.rename !== 'function') {
+      throw new Error(`${label}: rename must be a template or a function`);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Find the rules that apply to a file
+ * @param {Object[]} rules - Transform rules
+ * @param {string} relativePath - Source path relative to its root
+ * @param {boolean} caseSensitive - Whether patterns match case-sensitively
+ * @returns {Object[]} - Matching rules, in order
+ */
+function matchTransforms(rules, relativePath, caseSensitive) {
+  return rules.filter(rule => findMatchingGlob(relativePath, [].concat(rule.pattern), { caseSensitive }) !== null);
+}
+
+/**
+ * Check whether any of the rules changes file content
+ * @param {Object[]} rules - Matching transform rules
+ * @returns {boolean} - True if the content is transformed
+ */
+function transformsContent(rules) {
+  return rules.some(rule => CONTENT_KEYS.some(key => rule[key] !== undefined));
+}
+
+/**
+ * Work out the output path of a file
+ * @param {Object[]} rules - Matching transform rules
+ * @param {string} relativePath - Source path relative to its root
+ * @returns {string} - Output path relative to the destination
+ */
+function renamePath(rules, relativePath) {
+  let output = relativePath;
+
+  for (const rule of rules) {
+    if (rule.rename === undefined) continue;
+    const renamed = typeof rule.rename === 'function'
+      ? rule.rename(toPortable(output))
+      : fillTemplate(rule.rename, toPortable(output));
+    const normalized = path.posix.normalize(String(renamed).replace(/\\/g, '/')).replace(/^\/+/, '');
+
+    if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+      throw new Error(`Rename of ${toPortable(relativePath)} gives an invalid path: ${renamed}`);
+    }
+    output = normalized.split('/').join(path.sep);
+  }
+
+  return output;
+}
+
+/**
+ * Fill a rename template for a path
+ * @param {string} template - Template with `{dir}`, `{file}`, `{name}`, `{stem}` and `{ext}`
+ * @param {string} relativePath - Path with `/` separators
+ * @returns {string} - Filled template
+ */
+function fillTemplate(template, relativePath) {
+  const dir = path.posix.dirname(relativePath);
+  const file = path.posix.basename(relativePath);
+  const ext = path.posix.extname(file);
+  // A leading dot belongs to the name, as in `.env.prod`
+  const firstDot = file.indexOf('.', 1);
+  const parts = {
+    dir: dir === '.' ? '' : dir,
+    file,
+    name: file.slice(0, file.length - ext.length),
+    stem: firstDot === -1 ? file : file.slice(0, firstDot),
+    ext
+  };
+
+  return template.replace(/\{(dir|file|name|stem|ext)\}/g, (match, key) => parts[key]);
+}
+
+/**
+ * Run the content transforms of the rules over a file's text
+ * @param {Object[]} rules - Matching transform rules
+ * @param {string} content - File content
+ * @param {Object} file - `path` of the source and `output` path, both relative with `/` separators
+ * @returns {Promise<string>} - Transformed content
+ */
+async function transformContent(rules, content, file) {
+  let result = content;
+
+  for (const rule of rules) {
+    if (rule.replace !== undefined) {
+      for (const [search, replacement] of Object.entries(rule.replace)) {
+        result = result.split(search).join(String(replacement));
+      }
+    }
+    if (rule.env !== undefined) {
+      const variables = rule.env === true ? process.env : rule.env;
+      // Unknown variables are left as they are
+      result = result.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) =>
+        (variables[name] !== undefined ? String(variables[name]) : match)
+      );
+    }
+    if (rule.transform !== undefined) {
+      const transformed = await rule.transform(result, file);
+      if (typeof transformed !== 'string' && !Buffer.isBuffer(transformed)) {
+        throw new Error(`Transform of ${file.path} returned ${typeof transformed}, expected a string or Buffer`);
+      }
+      result = transformed.toString();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a relative path to `/` separators
+ * @param {string} relativePath - Path with platform separators
+ * @returns {string} - Path with `/` separators
+ */
+function toPortable(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  validateTransforms,
+  matchTransforms,
+  transformsContent,
+  renamePath,
+  transformContent
+};
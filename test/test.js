@@ -1,4 +1,7 @@
 const IdaSync = require('../lib/index');
+const { loadConfig, resolveJob } = require('../lib/config');
+const Journal = require('../lib/journal');
+const { compileGlob } = require('../lib/glob');
 const fs = require('fs').promises;
 const path = require('path');
 const { randomBytes } = require('crypto');
@@ -182,4 +185,1204 @@ describe('IdaSync', () => {
     expect(result.deleted).toBe(0);
     expect(result.skipped).toBe(0);
   });
+
+  test('should plan changes without touching the file system', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'new.txt'), 'new');
+    await createTestFile(path.join(sourceDir, 'changed.txt'), 'longer content');
+    await createTestFile(path.join(sourceDir, 'debug.log'), 'log');
+    await createTestFile(path.join(destDir, 'changed.txt'), 'short');
+    await createTestFile(path.join(destDir, 'config.json'), 'config');
+    await createTestFile(path.join(destDir, 'old', 'stale.txt'), 'stale');
+    
+    const sync = new IdaSync({
+      copyExclusions: ['*.log'],
+      deleteExclusions: ['config.json']
+    });
+    const plan = await sync.plan(sourceDir, destDir);
+    
+    expect(plan.actions).toEqual([
+      { type: 'overwrite', path: 'changed.txt', reason: 'size differs' },
+      { type: 'skip', path: 'debug.log', reason: 'excluded by pattern "*.log"', exclusion: 'copy', pattern: '*.log' },
+      { type: 'copy', path: 'new.txt', reason: 'new' },
+      { type: 'skip', path: 'config.json', reason: 'protected by delete exclusion "config.json"', exclusion: 'delete', pattern: 'config.json' },
+      { type: 'delete', path: path.join('old', 'stale.txt'), reason: 'not in source' },
+      { type: 'rmdir', path: 'old', reason: 'not in source' }
+    ]);
+    
+    // Nothing was changed by planning
+    expect(await fileExists(path.join(destDir, 'new.txt'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'old', 'stale.txt'))).toBe(true);
+    
+    const result = await sync.apply(plan);
+    
+    expect(result).toMatchObject({ copied: 2, deleted: 1, skipped: 1 });
+    expect(await fileExists(path.join(destDir, 'new.txt'))).toBe(true);
+    expect(await fileExists(path.join(destDir, 'config.json'))).toBe(true);
+    expect(await fileExists(path.join(destDir, 'old'))).toBe(false);
+  });
+
+  test('should replace files and directories that changed type', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    // A file where the destination has a directory, and the other way round
+    await createTestFile(path.join(sourceDir, 'data'), 'now a file');
+    await createTestFile(path.join(destDir, 'data', 'old.txt'), 'old');
+    await createTestFile(path.join(sourceDir, 'logs', 'today.log'), 'log');
+    await createTestFile(path.join(destDir, 'logs'), 'was a file');
+    // A directory holding protected files can't be replaced
+    await createTestFile(path.join(sourceDir, 'uploads'), 'file');
+    await createTestFile(path.join(destDir, 'uploads', 'photo.jpg'), 'photo');
+    
+    const sync = new IdaSync({ deleteExclusions: ['*.jpg'] });
+    const plan = await sync.plan(sourceDir, destDir);
+    expect(plan.actions.map(action => [action.type, action.path, action.reason])).toEqual([
+      ['delete', 'logs', 'type differs'],
+      ['copy', path.join('logs', 'today.log'), 'new'],
+      ['delete', path.join('data', 'old.txt'), 'not in source'],
+      ['skip', path.join('uploads', 'photo.jpg'), 'protected by delete exclusion "*.jpg"'],
+      ['rmdir', 'data', 'type differs'],
+      ['overwrite', 'data', 'type differs'],
+      ['skip', 'uploads', 'type differs, destination directory is kept']
+    ]);
+    
+    expect(await sync.apply(plan)).toMatchObject({ copied: 2, deleted: 2 });
+    expect(await fs.readFile(path.join(destDir, 'data'), 'utf8')).toBe('now a file');
+    expect(await fs.readFile(path.join(destDir, 'logs', 'today.log'), 'utf8')).toBe('log');
+    expect(await fs.readFile(path.join(destDir, 'uploads', 'photo.jpg'), 'utf8')).toBe('photo');
+  });
+
+  test('should still remove empty directories through cleanupEmptyDirectories', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'kept', 'file.txt'), 'kept');
+    await fs.mkdir(path.join(destDir, 'kept'));
+    await fs.mkdir(path.join(destDir, 'empty', 'nested'), { recursive: true });
+    await createTestFile(path.join(destDir, 'full', 'stale.txt'), 'stale');
+    
+    // Only empty directories go, nothing is copied or deleted
+    const sync = new IdaSync();
+    await sync.cleanupEmptyDirectories(destDir, sourceDir);
+    expect(await fileExists(path.join(destDir, 'empty'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'kept'))).toBe(true);
+    expect(await fileExists(path.join(destDir, 'kept', 'file.txt'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'full', 'stale.txt'))).toBe(true);
+  });
+
+  test('should watch source and sync only changed paths', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'initial.txt'), 'initial');
+    await createTestFile(path.join(sourceDir, 'remove.txt'), 'remove');
+    
+    // Resolve the next sync result as it arrives
+    const results = [];
+    let notify = () => {};
+    const nextSync = () => new Promise(resolve => { notify = resolve; });
+    
+    const sync = new IdaSync({ copyExclusions: ['*.log'], watchDebounce: 50 });
+    const watcher = await sync.watch(sourceDir, destDir, {
+      onSync: result => {
+        results.push(result);
+        notify(result);
+      }
+    });
+    
+    try {
+      expect(results[0].copied).toBe(2);
+      
+      let synced = nextSync();
+      await createTestFile(path.join(sourceDir, 'sub', 'added.txt'), 'added');
+      await createTestFile(path.join(sourceDir, 'ignored.log'), 'log');
+      await fs.unlink(path.join(sourceDir, 'remove.txt'));
+      await synced;
+      
+      // Wait for any trailing batch from the same burst
+      await new Promise(resolve => setTimeout(resolve, 200));
+      
+      expect(await fileExists(path.join(destDir, 'sub', 'added.txt'))).toBe(true);
+      expect(await fileExists(path.join(destDir, 'ignored.log'))).toBe(false);
+      expect(await fileExists(path.join(destDir, 'remove.txt'))).toBe(false);
+      expect(await fileExists(path.join(destDir, 'initial.txt'))).toBe(true);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  test('should delete the renamed output of a removed source file while watching', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'config', 'app.prod.json'), '{}');
+    await createTestFile(path.join(sourceDir, 'other.txt'), 'other');
+    
+    let notify = () => {};
+    const nextSync = () => new Promise(resolve => { notify = resolve; });
+    
+    const sync = new IdaSync({ transforms: [{ pattern: '*.prod.json', rename: '{dir}/{stem}.json' }], watchDebounce: 50 });
+    const watcher = await sync.watch(sourceDir, destDir, { onSync: result => notify(result) });
+    
+    try {
+      expect(await fileExists(path.join(destDir, 'config', 'app.json'))).toBe(true);
+      
+      const synced = nextSync();
+      await fs.unlink(path.join(sourceDir, 'config', 'app.prod.json'));
+      await synced;
+      
+      // Wait for any trailing batch from the same burst
+      await new Promise(resolve => setTimeout(resolve, 200));
+      
+      expect(await fileExists(path.join(destDir, 'config', 'app.json'))).toBe(false);
+      expect(await fileExists(path.join(destDir, 'other.txt'))).toBe(true);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  test('should compare file contents in checksum mode', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const sameTime = new Date('2024-01-01T00:00:00Z');
+    
+    // Same size and mtime, different content
+    await createTestFile(path.join(sourceDir, 'changed.txt'), 'aaaa');
+    await createTestFile(path.join(destDir, 'changed.txt'), 'bbbb');
+    await fs.utimes(path.join(sourceDir, 'changed.txt'), sameTime, sameTime);
+    await fs.utimes(path.join(destDir, 'changed.txt'), sameTime, sameTime);
+    
+    // Same content, different mtime
+    await createTestFile(path.join(sourceDir, 'rebuilt.txt'), 'same');
+    await createTestFile(path.join(destDir, 'rebuilt.txt'), 'same');
+    await fs.utimes(path.join(destDir, 'rebuilt.txt'), sameTime, sameTime);
+    
+    const defaultPlan = await new IdaSync().plan(sourceDir, destDir);
+    expect(defaultPlan.actions.map(action => action.path)).toEqual(['rebuilt.txt']);
+    
+    const checksumPlan = await new IdaSync({ compare: 'checksum' }).plan(sourceDir, destDir);
+    expect(checksumPlan.actions).toEqual([
+      { type: 'overwrite', path: 'changed.txt', reason: 'content differs' }
+    ]);
+    
+    const sizeOnlyPlan = await new IdaSync({ compare: 'size-only' }).plan(sourceDir, destDir);
+    expect(sizeOnlyPlan.actions).toEqual([]);
+  });
+
+  test('should reuse hashes from the hash cache', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const cacheFile = path.join(await createTempDirTracked(), 'hashes.json');
+    
+    await createTestFile(path.join(sourceDir, 'file.txt'), 'content');
+    
+    const sync = new IdaSync({ compare: 'checksum', hashCache: cacheFile });
+    await sync.sync(sourceDir, destDir);
+    
+    // The fresh copy inherits the source hash
+    const cache = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+    const destEntry = cache.entries[path.join(destDir, 'file.txt')];
+    expect(destEntry.hash).toBe(cache.entries[path.join(sourceDir, 'file.txt')].hash);
+    
+    // A tampered entry is trusted while size and mtime still match
+    destEntry.hash = 'stale';
+    await fs.writeFile(cacheFile, JSON.stringify(cache));
+    
+    const plan = await new IdaSync({ compare: 'checksum', hashCache: cacheFile }).plan(sourceDir, destDir);
+    expect(plan.actions).toEqual([
+      { type: 'overwrite', path: 'file.txt', reason: 'content differs' }
+    ]);
+    
+    // Planning alone leaves the cache file as it is, even with new hashes
+    await createTestFile(path.join(sourceDir, 'added.txt'), 'added');
+    const before = await fs.readFile(cacheFile, 'utf8');
+    await new IdaSync({ compare: 'checksum', hashCache: cacheFile }).plan(sourceDir, destDir);
+    expect(await fs.readFile(cacheFile, 'utf8')).toBe(before);
+  });
+
+  test('should match glob patterns', () => {
+    const sync = new IdaSync();
+    const matches = (filePath, patterns, isDirectory) => sync.matchesPattern(filePath, patterns, isDirectory);
+    
+    // Filename patterns match at any depth, path patterns are anchored
+    expect(matches('a/b/debug.log', ['*.log'])).toBe(true);
+    expect(matches('temp/sub/file.txt', ['temp/*'])).toBe(true);
+    expect(matches('other/temp/file.txt', ['temp/*'])).toBe(false);
+    expect(matches('other/temp/file.txt', ['temp'])).toBe(true);
+    expect(matches('other/temp/file.txt', ['/temp'])).toBe(false);
+    
+    // Globstar
+    expect(matches('src/a/b/c.test.js', ['src/**/*.test.js'])).toBe(true);
+    expect(matches('src/c.test.js', ['src/**/*.test.js'])).toBe(true);
+    expect(matches('lib/c.test.js', ['src/**/*.test.js'])).toBe(false);
+    expect(matches('deep/dir/cache/x.bin', ['**/cache/**'])).toBe(true);
+    
+    // Braces and character classes
+    expect(matches('img/logo.png', ['*.{png,svg}'])).toBe(true);
+    expect(matches('img/logo.jpg', ['*.{png,svg}'])).toBe(false);
+    expect(matches('file1.txt', ['file[0-9].txt'])).toBe(true);
+    expect(matches('fileA.txt', ['file[!0-9].txt'])).toBe(true);
+    expect(matches('file1.txt', ['file[!0-9].txt'])).toBe(false);
+    
+    // Regex metacharacters are literal
+    expect(matches('c++(1).txt', ['c++(1).txt'])).toBe(true);
+    expect(matches('cc(1).txt', ['c++(1).txt'])).toBe(false);
+    
+    // Trailing slash matches directories only
+    expect(matches('build/out.js', ['build/'])).toBe(true);
+    expect(matches('build', ['build/'])).toBe(false);
+    expect(matches('build', ['build/'], true)).toBe(true);
+    
+    // Negation re-includes, last match wins
+    expect(matches('logs/keep.log', ['logs/', '!keep.log'])).toBe(false);
+    expect(matches('logs/drop.log', ['logs/', '!keep.log'])).toBe(true);
+    expect(sync.findMatchingPattern('x.log', ['*.txt', '*.log'])).toBe('*.log');
+    
+    // Compiled patterns are cached, but only the recently used ones are kept
+    const compiled = compileGlob('cached/*.log');
+    expect(compileGlob('cached/*.log')).toBe(compiled);
+    for (let i = 0; i < 1000; i++) compileGlob(`generated-${i}/*.log`);
+    expect(compileGlob('cached/*.log')).not.toBe(compiled);
+    expect(compileGlob('cached/*.log')).toEqual(compiled);
+  });
+
+  test('should match case-insensitively unless case-sensitive', () => {
+    expect(new IdaSync().matchesPattern('README.MD', ['*.md'])).toBe(true);
+    expect(new IdaSync({ caseSensitive: true }).matchesPattern('README.MD', ['*.md'])).toBe(false);
+    expect(new IdaSync({ caseSensitive: true }).matchesPattern('readme.md', ['*.md'])).toBe(true);
+  });
+
+  test('should load nested ignore and protect files', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const gitignore = path.join(await createTempDirTracked(), '.gitignore');
+    
+    await createTestFile(gitignore, '# build junk\n*.map\n');
+    await createTestFile(path.join(sourceDir, '.idasyncignore'), '*.tmp\n');
+    await createTestFile(path.join(sourceDir, 'app.js.map'), 'map');
+    await createTestFile(path.join(sourceDir, 'root.tmp'), 'tmp');
+    await createTestFile(path.join(sourceDir, 'docs', '.idasyncignore'), '*.md\n!keep.tmp\n');
+    await createTestFile(path.join(sourceDir, 'docs', 'notes.md'), 'notes');
+    await createTestFile(path.join(sourceDir, 'docs', 'keep.tmp'), 'keep');
+    await createTestFile(path.join(sourceDir, 'docs', 'sub', 'deep.md'), 'deep');
+    await createTestFile(path.join(sourceDir, 'readme.md'), 'readme');
+    await createTestFile(path.join(sourceDir, 'uploads', '.idasyncprotect'), '*.jpg\n');
+    await createTestFile(path.join(destDir, 'uploads', 'photo.jpg'), 'photo');
+    await createTestFile(path.join(destDir, 'photo.jpg'), 'photo');
+    
+    const sync = new IdaSync({ ignoreFiles: [gitignore] });
+    await sync.sync(sourceDir, destDir);
+    
+    expect(await fileExists(path.join(destDir, 'app.js.map'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'root.tmp'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'readme.md'))).toBe(true);
+    expect(await fileExists(path.join(destDir, 'docs', 'notes.md'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'docs', 'sub', 'deep.md'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'docs', 'keep.tmp'))).toBe(true);
+    
+    // Protect rules apply only below their own directory
+    expect(await fileExists(path.join(destDir, 'uploads', 'photo.jpg'))).toBe(true);
+    expect(await fileExists(path.join(destDir, 'photo.jpg'))).toBe(false);
+  });
+
+  test('should resolve config jobs with defaults and extends', async () => {
+    const projectDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(projectDir, 'idasync.config.json'), JSON.stringify({
+      defaults: { copyExclusions: ['*.log'], verbose: true },
+      jobs: {
+        assets: { source: 'assets', destination: 'dist/assets', copyExclusions: ['*.psd'] },
+        brand: { extends: 'assets', source: 'brand', deleteExclusions: ['config.json'] },
+        loop: { extends: 'loop', source: 'a', destination: 'b' }
+      }
+    }));
+    
+    const config = await loadConfig(projectDir);
+    expect(Object.keys(config.jobs)).toEqual(['assets', 'brand', 'loop']);
+    
+    expect(resolveJob(config, 'brand')).toEqual({
+      source: path.join(projectDir, 'brand'),
+      destination: path.join(projectDir, 'dist', 'assets'),
+      copyExclusions: ['*.log', '*.psd'],
+      deleteExclusions: ['config.json'],
+      verbose: true
+    });
+    
+    expect(() => resolveJob(config, 'missing')).toThrow('Unknown job: missing');
+    expect(() => resolveJob(config, 'loop')).toThrow('Circular extends');
+  });
+
+  test('should read config from package.json', async () => {
+    const projectDir = await createTempDirTracked();
+    
+    expect(await loadConfig(projectDir)).toBeNull();
+    
+    await createTestFile(path.join(projectDir, 'package.json'), JSON.stringify({
+      name: 'example',
+      idasync: { jobs: { site: { source: 'public', destination: 'dist' } } }
+    }));
+    
+    const config = await loadConfig(projectDir);
+    expect(config.path).toBe(path.join(projectDir, 'package.json'));
+    expect(resolveJob(config, 'site').destination).toBe(path.join(projectDir, 'dist'));
+  });
+
+  test('should skip symlinks by default and list them in the plan', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'real.txt'), 'real');
+    await fs.symlink('real.txt', path.join(sourceDir, 'link.txt'));
+    
+    // A stale link in the destination is deleted, not followed
+    await createTestFile(path.join(destDir, 'elsewhere.txt'), 'elsewhere');
+    await fs.symlink('elsewhere.txt', path.join(destDir, 'stale.txt'));
+    
+    const sync = new IdaSync({ deleteExclusions: ['elsewhere.txt'] });
+    const plan = await sync.plan(sourceDir, destDir);
+    
+    expect(plan.actions).toContainEqual({ type: 'skip', path: 'link.txt', reason: 'symlink' });
+    expect(plan.actions).toContainEqual({ type: 'delete', path: 'stale.txt', reason: 'not in source' });
+    
+    await sync.apply(plan);
+    expect(await fileExists(path.join(destDir, 'link.txt'))).toBe(false);
+    await expect(fs.lstat(path.join(destDir, 'stale.txt'))).rejects.toThrow();
+    expect(await fs.readFile(path.join(destDir, 'elsewhere.txt'), 'utf8')).toBe('elsewhere');
+  });
+
+  test('should preserve symlinks and rewrite targets', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const outsideDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'data', 'real.txt'), 'real');
+    await createTestFile(path.join(outsideDir, 'shared.txt'), 'shared');
+    await fs.symlink(path.join('data', 'real.txt'), path.join(sourceDir, 'relative.txt'));
+    await fs.symlink(path.join(sourceDir, 'data', 'real.txt'), path.join(sourceDir, 'absolute.txt'));
+    await fs.symlink(path.relative(sourceDir, path.join(outsideDir, 'shared.txt')), path.join(sourceDir, 'outside.txt'));
+    
+    // A file in the destination is replaced by the link
+    await createTestFile(path.join(destDir, 'relative.txt'), 'old file');
+    
+    const sync = new IdaSync({ symlinks: 'preserve' });
+    await sync.sync(sourceDir, destDir);
+    
+    expect(await fs.readlink(path.join(destDir, 'relative.txt'))).toBe(path.join('data', 'real.txt'));
+    expect(await fs.readlink(path.join(destDir, 'absolute.txt'))).toBe(path.join(destDir, 'data', 'real.txt'));
+    expect(await fs.readFile(path.join(destDir, 'outside.txt'), 'utf8')).toBe('shared');
+    
+    // Links are unchanged on the next run
+    const plan = await sync.plan(sourceDir, destDir);
+    expect(plan.actions).toEqual([]);
+  });
+
+  test('should replace a destination directory with a preserved symlink', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'real', 'file.txt'), 'real');
+    await fs.symlink('real', path.join(sourceDir, 'docs'));
+    await createTestFile(path.join(destDir, 'docs', 'old.txt'), 'old');
+    await createTestFile(path.join(destDir, 'docs', 'nested', 'old.txt'), 'old');
+    
+    const sync = new IdaSync({ symlinks: 'preserve' });
+    const plan = await sync.plan(sourceDir, destDir);
+    
+    // The directory is emptied and removed before the link takes its place
+    const types = plan.actions.map(action => `${action.type} ${action.path}`);
+    expect(plan.actions).toContainEqual({ type: 'overwrite', path: 'docs', reason: 'type differs', link: 'real' });
+    expect(plan.actions).toContainEqual({ type: 'rmdir', path: 'docs', reason: 'type differs' });
+    expect(types.indexOf('rmdir docs')).toBeLessThan(types.indexOf('overwrite docs'));
+    
+    await sync.apply(plan);
+    expect(await fs.readlink(path.join(destDir, 'docs'))).toBe('real');
+    expect(await fs.readFile(path.join(destDir, 'docs', 'file.txt'), 'utf8')).toBe('real');
+    
+    // A directory that keeps protected files stays, and the link is skipped
+    const keptDir = await createTempDirTracked();
+    await createTestFile(path.join(keptDir, 'docs', 'keep.txt'), 'keep');
+    const keeping = new IdaSync({ symlinks: 'preserve', deleteExclusions: ['keep.txt'] });
+    const keptPlan = await keeping.plan(sourceDir, keptDir);
+    expect(keptPlan.actions).toContainEqual({ type: 'skip', path: 'docs', reason: 'type differs, destination directory is kept' });
+    
+    await keeping.apply(keptPlan);
+    expect(await fs.readFile(path.join(keptDir, 'docs', 'keep.txt'), 'utf8')).toBe('keep');
+  });
+
+  test('should follow symlinks and detect cycles', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'dir', 'file.txt'), 'content');
+    await fs.symlink('dir', path.join(sourceDir, 'alias'));
+    await fs.symlink('..', path.join(sourceDir, 'dir', 'loop'));
+    
+    // A link in the destination is replaced by a real file, not written through
+    await createTestFile(path.join(destDir, 'target.txt'), 'untouched');
+    await fs.mkdir(path.join(destDir, 'dir'));
+    await fs.symlink(path.join('..', 'target.txt'), path.join(destDir, 'dir', 'file.txt'));
+    
+    const sync = new IdaSync({ symlinks: 'follow', deleteExclusions: ['target.txt'] });
+    const plan = await sync.plan(sourceDir, destDir);
+    
+    expect(plan.actions).toContainEqual({ type: 'overwrite', path: path.join('dir', 'file.txt'), reason: 'type differs' });
+    expect(plan.actions).toContainEqual({ type: 'skip', path: path.join('dir', 'loop'), reason: 'symlink cycle' });
+    expect(plan.actions).toContainEqual({ type: 'skip', path: path.join('alias', 'loop'), reason: 'symlink cycle' });
+    
+    await sync.apply(plan);
+    expect(await fs.readFile(path.join(destDir, 'alias', 'file.txt'), 'utf8')).toBe('content');
+    expect((await fs.lstat(path.join(destDir, 'dir', 'file.txt'))).isSymbolicLink()).toBe(false);
+    expect(await fs.readFile(path.join(destDir, 'target.txt'), 'utf8')).toBe('untouched');
+  });
+
+  test('should produce the same plan and result at any concurrency', async () => {
+    const destDirs = [];
+    const sourceDir = await createTempDirTracked();
+    
+    for (let i = 0; i < 60; i++) {
+      await createTestFile(path.join(sourceDir, `dir${i % 6}`, `file${i}.txt`), `content ${i}`);
+    }
+    
+    const runs = [];
+    for (const jobs of [1, 16]) {
+      const destDir = await createTempDirTracked();
+      destDirs.push(destDir);
+      for (let i = 0; i < 12; i++) {
+        await createTestFile(path.join(destDir, `old${i % 3}`, `stale${i}.txt`), 'stale');
+      }
+      
+      const sync = new IdaSync({ jobs });
+      const plan = await sync.plan(sourceDir, destDir);
+      // Only the time taken may differ
+      runs.push({ actions: plan.actions, result: { ...await sync.apply(plan), elapsed: 0 } });
+    }
+    
+    expect(runs[1].actions).toEqual(runs[0].actions);
+    expect(runs[1].result).toMatchObject({ copied: 60, deleted: 12, skipped: 0, bytes: 590 });
+    expect(runs[0].result).toEqual(runs[1].result);
+    expect(await fileExists(path.join(destDirs[1], 'old0'))).toBe(false);
+    expect(() => new IdaSync({ jobs: 0 })).toThrow('Invalid jobs');
+  });
+
+  test('should emit progress events with totals', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'a.txt'), 'aaaa');
+    await createTestFile(path.join(sourceDir, 'b.log'), 'bb');
+    await createTestFile(path.join(destDir, 'old.txt'), 'old');
+    
+    const sync = new IdaSync({ copyExclusions: ['*.log'] });
+    const events = [];
+    for (const name of ['scan', 'compare', 'start', 'copy:start', 'copy:progress', 'copy:end', 'delete', 'skip', 'rmdir', 'done']) {
+      sync.on(name, payload => events.push([name, payload]));
+    }
+    
+    await sync.sync(sourceDir, destDir);
+    
+    expect(events).toContainEqual(['scan', { path: 'a.txt', kind: 'file' }]);
+    expect(events).toContainEqual(['compare', { path: 'a.txt', reason: 'new' }]);
+    expect(events).toContainEqual(['start', { copy: 1, delete: 1, rmdir: 0, skip: 1, bytes: 4 }]);
+    expect(events).toContainEqual(['copy:start', { path: 'a.txt', bytes: 4 }]);
+    expect(events).toContainEqual(['copy:progress', { path: 'a.txt', bytesCopied: 4, bytes: 4 }]);
+    expect(events).toContainEqual(['copy:end', { path: 'a.txt', bytes: 4 }]);
+    expect(events).toContainEqual(['skip', { path: 'b.log', reason: 'excluded by pattern "*.log"' }]);
+    expect(events).toContainEqual(['delete', { path: 'old.txt' }]);
+    expect(events[events.length - 1]).toEqual(['done', expect.objectContaining({ copied: 1, deleted: 1, skipped: 1 })]);
+  });
+
+  test('should report failures through the error event and a custom logger', async () => {
+    const destDir = await createTempDirTracked();
+    const messages = [];
+    const logger = {
+      info: message => messages.push(['info', message]),
+      warn: message => messages.push(['warn', message]),
+      error: message => messages.push(['error', message])
+    };
+    
+    const sync = new IdaSync({ verbose: true, logger });
+    const errors = [];
+    sync.on('error', event => errors.push(event));
+    
+    // A plan whose file has disappeared since it was made
+    const plan = { source: destDir, destination: destDir, actions: [{ type: 'delete', path: 'gone.txt', reason: 'not in source' }] };
+    await expect(sync.apply(plan)).rejects.toThrow('ENOENT');
+    expect(errors).toEqual([expect.objectContaining({ path: 'gone.txt', type: 'delete' })]);
+    
+    await sync.sync(path.join(destDir, 'missing'), destDir);
+    expect(messages).toContainEqual(['warn', `Source directory does not exist: ${path.join(destDir, 'missing')}`]);
+    expect(messages.some(([level]) => level === 'info')).toBe(true);
+  });
+
+  test('should back up deleted and overwritten files and restore them', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const backupDir = path.join(destDir, '.backups');
+    
+    await createTestFile(path.join(sourceDir, 'changed.txt'), 'new version');
+    await createTestFile(path.join(sourceDir, 'added', 'file.txt'), 'added');
+    await createTestFile(path.join(destDir, 'changed.txt'), 'old');
+    await createTestFile(path.join(destDir, 'removed', 'file.txt'), 'removed');
+    
+    const sync = new IdaSync({ backupDir, keepBackups: 2 });
+    const result = await sync.sync(sourceDir, destDir);
+    
+    // The backup directory lives in the destination but is left alone
+    expect(result).toMatchObject({ copied: 2, deleted: 1, skipped: 0, backup: expect.any(String) });
+    expect(await fileExists(path.join(destDir, 'removed'))).toBe(false);
+    expect(await fs.readFile(path.join(result.backup, 'files', 'removed', 'file.txt'), 'utf8')).toBe('removed');
+    expect(await fs.readFile(path.join(result.backup, 'files', 'changed.txt'), 'utf8')).toBe('old');
+    
+    const runs = await sync.listBackups();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      path: result.backup,
+      destination: destDir,
+      files: [{ path: 'changed.txt', action: 'overwrite' }, { path: 'removed/file.txt', action: 'delete' }],
+      created: ['added/file.txt']
+    });
+    
+    // An unchanged run writes no backup
+    expect((await sync.sync(sourceDir, destDir)).backup).toBeUndefined();
+    
+    expect(await sync.restore(result.backup, destDir)).toEqual({ restored: 2, removed: 1 });
+    expect(await fs.readFile(path.join(destDir, 'changed.txt'), 'utf8')).toBe('old');
+    expect(await fs.readFile(path.join(destDir, 'removed', 'file.txt'), 'utf8')).toBe('removed');
+    expect(await fileExists(path.join(destDir, 'added'))).toBe(false);
+    
+    // Only the newest runs are kept
+    for (let i = 0; i < 3; i++) {
+      await createTestFile(path.join(destDir, `extra${i}.txt`), 'extra');
+      await sync.sync(sourceDir, destDir);
+    }
+    expect(await sync.listBackups()).toHaveLength(2);
+    expect(await fileExists(result.backup)).toBe(false);
+    
+    expect(() => new IdaSync({ keepBackups: 2 })).toThrow('keepBackups needs a backupDir');
+  });
+
+  test('should sync both ways and resolve conflicts', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const setTime = (filePath, seconds) => fs.utimes(filePath, seconds, seconds);
+    
+    await createTestFile(path.join(sourceDir, 'a.txt'), 'a');
+    await createTestFile(path.join(sourceDir, 'shared.txt'), 'shared');
+    await createTestFile(path.join(destDir, 'b', 'b.txt'), 'b');
+    await createTestFile(path.join(destDir, 'debug.log'), 'log');
+    
+    const sync = new IdaSync({ bidirectional: true, copyExclusions: ['*.log'] });
+    expect(await sync.sync(sourceDir, destDir)).toMatchObject({ copied: 3, deleted: 0, skipped: 1, conflicts: 0 });
+    expect(await fs.readFile(path.join(sourceDir, 'b', 'b.txt'), 'utf8')).toBe('b');
+    expect(await fileExists(path.join(sourceDir, 'debug.log'))).toBe(false);
+    expect(await fileExists(path.join(sourceDir, '.idasync-state.json'))).toBe(false);
+    
+    // Changes on either side flow to the other one
+    await createTestFile(path.join(destDir, 'a.txt'), 'a changed');
+    await fs.rm(path.join(sourceDir, 'b'), { recursive: true });
+    await createTestFile(path.join(sourceDir, 'c.txt'), 'c');
+    
+    const plan = await sync.plan(sourceDir, destDir);
+    expect(plan.actions).toEqual(expect.arrayContaining([
+      { type: 'overwrite', path: 'a.txt', reason: 'modified in destination', to: 'source' },
+      { type: 'delete', path: path.join('b', 'b.txt'), reason: 'deleted in source', to: 'destination' },
+      { type: 'copy', path: 'c.txt', reason: 'created in source', to: 'destination' },
+      { type: 'rmdir', path: 'b', reason: 'deleted in source', to: 'destination' }
+    ]));
+    await sync.apply(plan);
+    expect(await fs.readFile(path.join(sourceDir, 'a.txt'), 'utf8')).toBe('a changed');
+    expect(await fileExists(path.join(destDir, 'b'))).toBe(false);
+    expect((await sync.plan(sourceDir, destDir)).actions.filter(action => action.type !== 'skip')).toEqual([]);
+    
+    // Changed on both sides: the newer version wins
+    await createTestFile(path.join(sourceDir, 'shared.txt'), 'source version');
+    await createTestFile(path.join(destDir, 'shared.txt'), 'destination version');
+    await setTime(path.join(sourceDir, 'shared.txt'), 2000000000);
+    await setTime(path.join(destDir, 'shared.txt'), 2000000100);
+    const conflicts = [];
+    sync.on('conflict', event => conflicts.push(event));
+    expect((await sync.sync(sourceDir, destDir)).conflicts).toBe(1);
+    expect(await fs.readFile(path.join(sourceDir, 'shared.txt'), 'utf8')).toBe('destination version');
+    expect(conflicts).toEqual([{ path: 'shared.txt', reason: 'conflict: changed on both sides (destination wins)' }]);
+    
+    // Keeping both moves the destination's version aside on both sides
+    const keepBoth = new IdaSync({ bidirectional: true, conflicts: 'keep-both', copyExclusions: ['*.log'] });
+    await createTestFile(path.join(sourceDir, 'shared.txt'), 'source again');
+    await createTestFile(path.join(destDir, 'shared.txt'), 'destination again');
+    expect(await keepBoth.sync(sourceDir, destDir)).toMatchObject({ copied: 2, conflicts: 1 });
+    for (const dir of [sourceDir, destDir]) {
+      expect(await fs.readFile(path.join(dir, 'shared.txt'), 'utf8')).toBe('source again');
+      expect(await fs.readFile(path.join(dir, 'shared.conflict.txt'), 'utf8')).toBe('destination again');
+    }
+    
+    expect(() => new IdaSync({ conflicts: 'mine-wins' })).toThrow('Unknown conflict policy');
+  });
+
+  test('should overlay several sources in priority order', async () => {
+    const baseDir = await createTempDirTracked();
+    const brandDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(baseDir, 'style.css'), 'base style');
+    await createTestFile(path.join(baseDir, 'logo.png'), 'base logo');
+    await createTestFile(path.join(baseDir, 'fonts', 'base.woff'), 'font');
+    await createTestFile(path.join(brandDir, 'logo.png'), 'brand logo');
+    await createTestFile(path.join(brandDir, 'fonts'), 'a file replacing the directory');
+    await createTestFile(path.join(brandDir, 'notes.txt'), 'notes');
+    await createTestFile(path.join(brandDir, '.idasyncignore'), 'notes.txt');
+    await createTestFile(path.join(destDir, 'stale.txt'), 'stale');
+    
+    const sync = new IdaSync();
+    const plan = await sync.plan([baseDir, brandDir], destDir);
+    
+    expect(plan.sources).toEqual([baseDir, brandDir]);
+    expect(plan.actions).toEqual([
+      { type: 'copy', path: '.idasyncignore', reason: 'new', source: brandDir },
+      { type: 'copy', path: 'fonts', reason: 'new', source: brandDir },
+      { type: 'copy', path: 'logo.png', reason: 'new', source: brandDir },
+      { type: 'skip', path: 'notes.txt', reason: 'excluded by pattern "notes.txt"', exclusion: 'copy', pattern: 'notes.txt', source: brandDir },
+      { type: 'copy', path: 'style.css', reason: 'new', source: baseDir },
+      { type: 'delete', path: 'stale.txt', reason: 'not in source' }
+    ]);
+    
+    expect(await sync.apply(plan)).toMatchObject({ copied: 4, deleted: 1, skipped: 1 });
+    expect(await fs.readFile(path.join(destDir, 'logo.png'), 'utf8')).toBe('brand logo');
+    expect(await fs.readFile(path.join(destDir, 'style.css'), 'utf8')).toBe('base style');
+    
+    // Files from the earlier source survive the later one
+    expect(await sync.sync([baseDir, brandDir], destDir)).toMatchObject({ copied: 0, deleted: 0, skipped: 1 });
+  });
+
+  test('should transform and rename files as they are copied', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'index.html'), '<p>{{VERSION}} on ${IDASYNC_TEST_HOST} ${UNSET_VAR}</p>');
+    await createTestFile(path.join(sourceDir, 'config', 'app.prod.json'), '{"debug": false}');
+    await createTestFile(path.join(sourceDir, 'notes.txt'), 'notes');
+    await createTestFile(path.join(destDir, 'config', 'app.json'), 'outdated');
+    await createTestFile(path.join(destDir, 'config', 'stale.json'), 'stale');
+    
+    const options = version => ({
+      transforms: [
+        { pattern: '*.html', replace: { '{{VERSION}}': version }, env: { IDASYNC_TEST_HOST: 'example.com' } },
+        { pattern: '*.prod.json', rename: '{dir}/{stem}.json' },
+        { pattern: '*.txt', transform: content => content.toUpperCase() }
+      ]
+    });
+    
+    const sync = new IdaSync(options('1.0.0'));
+    const plan = await sync.plan(sourceDir, destDir);
+    expect(plan.actions).toEqual([
+      { type: 'overwrite', path: path.join('config', 'app.prod.json'), output: path.join('config', 'app.json'), reason: 'size differs' },
+      { type: 'copy', path: 'index.html', reason: 'new' },
+      { type: 'copy', path: 'notes.txt', reason: 'new' },
+      { type: 'delete', path: path.join('config', 'stale.json'), reason: 'not in source' }
+    ]);
+    
+    await sync.apply(plan);
+    expect(await fs.readFile(path.join(destDir, 'index.html'), 'utf8')).toBe('<p>1.0.0 on example.com ${UNSET_VAR}</p>');
+    expect(await fs.readFile(path.join(destDir, 'config', 'app.json'), 'utf8')).toBe('{"debug": false}');
+    expect(await fs.readFile(path.join(destDir, 'notes.txt'), 'utf8')).toBe('NOTES');
+    
+    // Unchanged sources with unchanged transforms are left alone
+    expect(await sync.sync(sourceDir, destDir)).toMatchObject({ copied: 0, deleted: 0, skipped: 0 });
+    
+    // A changed transform config is only noticed by comparing content, which recopies what it affects
+    expect((await new IdaSync(options('1.0.1')).plan(sourceDir, destDir)).actions).toEqual([]);
+    const bumped = new IdaSync({ ...options('1.0.1'), compare: 'checksum' });
+    expect((await bumped.plan(sourceDir, destDir)).actions).toEqual([
+      { type: 'overwrite', path: 'index.html', reason: 'output differs' }
+    ]);
+    
+    // Binary files are renamed byte for byte, but never decoded as text
+    const imageDir = await createTempDirTracked();
+    const imageDest = await createTempDirTracked();
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0xfe, 0x00, 0x80]);
+    await fs.writeFile(path.join(imageDir, 'logo.prod.png'), image);
+    await new IdaSync({ transforms: [{ pattern: '*.prod.png', rename: '{dir}/{stem}.png' }] }).sync(imageDir, imageDest);
+    expect((await fs.readFile(path.join(imageDest, 'logo.png'))).equals(image)).toBe(true);
+    const decoding = new IdaSync({ transforms: [{ pattern: '*.png', replace: { a: 'b' } }] });
+    await expect(decoding.sync(imageDir, await createTempDirTracked())).rejects.toThrow('Cannot transform logo.prod.png: not UTF-8 text');
+    
+    const colliding = new IdaSync({ transforms: [{ pattern: 'notes.txt', rename: 'index.html' }] });
+    await expect(colliding.plan(sourceDir, destDir)).rejects.toThrow('would be written to index.html');
+    expect(() => new IdaSync({ transforms: [{ pattern: '*.txt' }] })).toThrow('expected one of rename, replace, env or transform');
+  });
+
+  test('should sync to and from tar archives', async () => {
+    const sourceDir = await createTempDirTracked();
+    const archiveDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const archive = path.join(archiveDir, 'site.tar.gz');
+    const longName = `${'nested-directory-name/'.repeat(6)}file.txt`;
+    
+    await createTestFile(path.join(sourceDir, 'index.html'), 'home');
+    await createTestFile(path.join(sourceDir, 'assets', 'app.js'), 'app');
+    await createTestFile(path.join(sourceDir, longName), 'deep');
+    await createTestFile(path.join(sourceDir, 'debug.log'), 'log');
+    
+    const sync = new IdaSync({ copyExclusions: ['*.log'] });
+    expect(await sync.sync(sourceDir, archive)).toMatchObject({ copied: 3, deleted: 0, skipped: 1 });
+    expect(await fileExists(archive)).toBe(true);
+    
+    // Modification times survive the round trip, so nothing changes
+    const plan = await sync.plan(sourceDir, archive);
+    expect(plan.archives).toBe(true);
+    expect(plan.actions.filter(action => action.type !== 'skip')).toEqual([]);
+    
+    await createTestFile(path.join(destDir, 'stale.txt'), 'stale');
+    expect(await sync.sync(archive, destDir)).toMatchObject({ copied: 3, deleted: 1, skipped: 0 });
+    expect(await fs.readFile(path.join(destDir, 'assets', 'app.js'), 'utf8')).toBe('app');
+    expect(await fs.readFile(path.join(destDir, longName), 'utf8')).toBe('deep');
+    expect(await fileExists(path.join(destDir, 'stale.txt'))).toBe(false);
+    expect(await fileExists(path.join(destDir, 'debug.log'))).toBe(false);
+    
+    await expect(new IdaSync({ bidirectional: true }).plan(sourceDir, archive)).rejects.toThrow('not supported in bidirectional mode');
+  });
+
+  test('should preserve modes, directory times and empty directories', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const past = new Date('2024-01-01T00:00:00Z');
+    
+    await createTestFile(path.join(sourceDir, 'bin', 'run.sh'), '#!/bin/sh');
+    await fs.mkdir(path.join(sourceDir, 'logs'));
+    await fs.chmod(path.join(sourceDir, 'bin', 'run.sh'), 0o755);
+    await fs.utimes(path.join(sourceDir, 'bin', 'run.sh'), past, past);
+    await fs.utimes(path.join(sourceDir, 'bin'), past, past);
+    
+    // Same content and mtime, only the mode differs
+    await createTestFile(path.join(destDir, 'bin', 'run.sh'), '#!/bin/sh');
+    await fs.chmod(path.join(destDir, 'bin', 'run.sh'), 0o644);
+    await fs.utimes(path.join(destDir, 'bin', 'run.sh'), past, past);
+    
+    const sync = new IdaSync({ preserve: ['mode', 'times', 'emptyDirs'] });
+    const plan = await sync.plan(sourceDir, destDir);
+    expect(plan.actions).toEqual([
+      { type: 'metadata', path: path.join('bin', 'run.sh'), reason: 'mode differs' },
+      { type: 'mkdir', path: 'logs', reason: 'new' },
+      { type: 'metadata', path: 'bin', reason: 'mtime differs', directory: true },
+      { type: 'metadata', path: 'logs', reason: 'new', directory: true }
+    ]);
+    
+    expect(await sync.apply(plan)).toMatchObject({ copied: 0, deleted: 0, skipped: 0, updated: 3, dirsCreated: 1 });
+    expect((await fs.stat(path.join(destDir, 'bin', 'run.sh'))).mode & 0o777).toBe(0o755);
+    expect((await fs.stat(path.join(destDir, 'bin'))).mtime.getTime()).toBe(past.getTime());
+    expect((await fs.stat(path.join(destDir, 'logs'))).isDirectory()).toBe(true);
+    
+    // A file added to a directory doesn't leave the directory's mtime behind
+    await createTestFile(path.join(sourceDir, 'bin', 'setup.sh'), 'setup');
+    await fs.utimes(path.join(sourceDir, 'bin'), past, past);
+    expect(await sync.sync(sourceDir, destDir)).toMatchObject({ copied: 1, deleted: 0, skipped: 0, updated: 1, dirsCreated: 0 });
+    expect((await fs.stat(path.join(destDir, 'bin'))).mtime.getTime()).toBe(past.getTime());
+    expect((await sync.plan(sourceDir, destDir)).actions).toEqual([]);
+    
+    expect(() => new IdaSync({ preserve: ['acl'] })).toThrow('Unknown preserve option: acl');
+  });
+
+  test('should roll back a failed transactional sync and recover an interrupted one', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const logger = { info: () => {}, warn: () => {}, error: () => {} };
+    
+    await createTestFile(path.join(sourceDir, 'added', 'a.txt'), 'added');
+    await createTestFile(path.join(sourceDir, 'b.txt'), 'new version');
+    await createTestFile(path.join(sourceDir, 'c.txt'), 'fails');
+    await createTestFile(path.join(destDir, 'b.txt'), 'old');
+    
+    const transforms = [{ pattern: 'c.txt', transform: () => { throw new Error('transform failed'); } }];
+    const sync = new IdaSync({ transactional: true, logger, transforms });
+    
+    await expect(sync.sync(sourceDir, destDir)).rejects.toThrow('transform failed');
+    expect((await fs.readdir(destDir)).sort()).toEqual(['b.txt']);
+    expect(await fs.readFile(path.join(destDir, 'b.txt'), 'utf8')).toBe('old');
+    
+    // A rolled back run leaves no backup behind, even after moving files into one
+    const backupDir = await createTempDirTracked();
+    const backedUp = new IdaSync({ transactional: true, backupDir, jobs: 1, logger, transforms });
+    await expect(backedUp.sync(sourceDir, destDir)).rejects.toThrow('transform failed');
+    expect(await fs.readFile(path.join(destDir, 'b.txt'), 'utf8')).toBe('old');
+    expect(await backedUp.listBackups()).toEqual([]);
+    expect(await fs.readdir(backupDir)).toEqual([]);
+    
+    // A run that dies before it can roll back leaves its journal behind
+    jest.spyOn(Journal.prototype, 'rollback').mockImplementationOnce(async () => 0);
+    await expect(sync.sync(sourceDir, destDir)).rejects.toThrow('transform failed');
+    expect(await fs.readFile(path.join(destDir, 'b.txt'), 'utf8')).toBe('new version');
+    expect(await fileExists(path.join(destDir, '.idasync-journal'))).toBe(true);
+    
+    expect(await new IdaSync({ logger }).recover(destDir)).toBeGreaterThan(0);
+    expect((await fs.readdir(destDir)).sort()).toEqual(['b.txt']);
+    expect(await fs.readFile(path.join(destDir, 'b.txt'), 'utf8')).toBe('old');
+    expect(await new IdaSync({ logger }).recover(destDir)).toBe(null);
+  });
+
+  test('should retry transient errors and collect failures with the continue policy', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const logger = { info: () => {}, warn: () => {}, error: () => {} };
+    
+    await createTestFile(path.join(sourceDir, 'busy.txt'), 'busy');
+    await createTestFile(path.join(sourceDir, 'locked.txt'), 'locked');
+    await createTestFile(path.join(sourceDir, 'ok.txt'), 'ok');
+    
+    let busyFailures = 2;
+    const realCopyFile = fs.copyFile;
+    const copySpy = jest.spyOn(fs, 'copyFile').mockImplementation(async (from, to) => {
+      if (from.endsWith('locked.txt')) {
+        throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+      }
+      if (from.endsWith('busy.txt') && busyFailures-- > 0) {
+        throw Object.assign(new Error('EBUSY: resource busy or locked'), { code: 'EBUSY' });
+      }
+      return realCopyFile(from, to);
+    });
+    
+    try {
+      const sync = new IdaSync({ errorPolicy: 'continue', retryDelay: 1, logger });
+      expect(await sync.sync(sourceDir, destDir)).toMatchObject({
+        copied: 2,
+        deleted: 0,
+        skipped: 0,
+        errors: [{ path: 'locked.txt', operation: 'copy', code: 'EACCES', message: 'EACCES: permission denied' }]
+      });
+      expect(await fs.readFile(path.join(destDir, 'busy.txt'), 'utf8')).toBe('busy');
+      expect(await fileExists(path.join(destDir, 'locked.txt'))).toBe(false);
+      
+      // The default policy stops at the failure
+      await expect(new IdaSync({ logger }).sync(sourceDir, destDir)).rejects.toThrow('EACCES');
+    } finally {
+      copySpy.mockRestore();
+    }
+    
+    expect(() => new IdaSync({ errorPolicy: 'ignore' })).toThrow('Unknown error policy: ignore');
+  });
+
+  test('should report each changed file with bytes and elapsed time', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'index.html'), '<html>');
+    await createTestFile(path.join(sourceDir, 'css', 'site.css'), 'body {}');
+    await createTestFile(path.join(sourceDir, 'debug.log'), 'log');
+    await createTestFile(path.join(destDir, 'index.html'), '<old>');
+    await createTestFile(path.join(destDir, 'old', 'stale.js'), 'stale');
+    
+    const sync = new IdaSync({ copyExclusions: ['*.log'], deleteExclusions: ['*.log'] });
+    const result = await sync.sync(sourceDir, destDir);
+    
+    expect(result).toMatchObject({ copied: 2, deleted: 1, skipped: 1, bytes: 13 });
+    expect(result.elapsed).toEqual(expect.any(Number));
+    expect(result.files).toEqual([
+      { type: 'copy', path: path.join('css', 'site.css'), bytes: 7, reason: 'new' },
+      { type: 'overwrite', path: 'index.html', bytes: 6, reason: 'size differs' },
+      { type: 'delete', path: path.join('old', 'stale.js'), bytes: 0, reason: 'not in source' },
+      { type: 'rmdir', path: 'old', bytes: 0, reason: 'not in source' }
+    ]);
+    
+    expect(await sync.sync(sourceDir, destDir)).toMatchObject({ copied: 0, bytes: 0, files: [] });
+  });
+
+  test('should compare two trees without modifying them', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const past = new Date('2024-01-01T00:00:00Z');
+    
+    await createTestFile(path.join(sourceDir, 'index.html'), '<html>');
+    await createTestFile(path.join(sourceDir, 'app.js'), 'new');
+    await createTestFile(path.join(sourceDir, 'debug.log'), 'log');
+    await createTestFile(path.join(destDir, 'app.js'), 'old');
+    await createTestFile(path.join(destDir, 'stale.js'), 'stale');
+    await createTestFile(path.join(destDir, 'config.json'), '{}');
+    await fs.utimes(path.join(destDir, 'app.js'), past, past);
+    
+    const logger = { info: () => {}, warn: () => {}, error: () => {} };
+    const sync = new IdaSync({ copyExclusions: ['*.log'], deleteExclusions: ['config.json'], logger });
+    expect(await sync.compare(sourceDir, destDir)).toEqual({
+      source: sourceDir,
+      destination: destDir,
+      inSync: false,
+      missingInDestination: ['index.html'],
+      missingInSource: ['stale.js'],
+      different: [{ path: 'app.js', reason: 'mtime differs' }],
+      protected: [{ path: 'config.json', pattern: 'config.json' }]
+    });
+    expect(await fileExists(path.join(destDir, 'stale.js'))).toBe(true);
+    
+    // Same size and an equal mtime hide the change from the default compare, not from checksums
+    await sync.sync(sourceDir, destDir);
+    await createTestFile(path.join(destDir, 'app.js'), 'old');
+    const { mtime } = await fs.stat(path.join(sourceDir, 'app.js'));
+    await fs.utimes(path.join(destDir, 'app.js'), mtime, mtime);
+    expect((await sync.compare(sourceDir, destDir)).inSync).toBe(true);
+    const checksum = new IdaSync({ compare: 'checksum', copyExclusions: ['*.log'], deleteExclusions: ['config.json'] });
+    expect((await checksum.compare(sourceDir, destDir)).different).toEqual([{ path: 'app.js', reason: 'content differs' }]);
+    
+    await expect(sync.compare(path.join(sourceDir, 'missing'), destDir)).rejects.toThrow('Source directory does not exist');
+  });
+
+  test('should sync only included files within the size and age limits', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const old = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    
+    await createTestFile(path.join(sourceDir, 'img', 'logo.svg'), '<svg/>');
+    await createTestFile(path.join(sourceDir, 'img', 'photo.png'), 'x'.repeat(2048));
+    await createTestFile(path.join(sourceDir, 'img', 'icon.png'), 'png');
+    await createTestFile(path.join(sourceDir, 'img', 'old.png'), 'old');
+    await createTestFile(path.join(sourceDir, 'img', 'draft.png'), 'draft');
+    await createTestFile(path.join(sourceDir, 'notes.txt'), 'notes');
+    await fs.utimes(path.join(sourceDir, 'img', 'old.png'), old, old);
+    
+    await createTestFile(path.join(destDir, 'readme.md'), 'kept');
+    await createTestFile(path.join(destDir, 'img', 'archived.png'), 'kept');
+    await createTestFile(path.join(destDir, 'img', 'removed.svg'), 'gone');
+    await fs.utimes(path.join(destDir, 'img', 'archived.png'), old, old);
+    
+    const sync = new IdaSync({
+      includes: ['*.png', '*.svg'],
+      copyExclusions: ['draft.*'],
+      maxSize: '1k',
+      newerThan: '1d'
+    });
+    const plan = await sync.plan(sourceDir, destDir);
+    const skips = Object.fromEntries(plan.actions.filter(action => action.type === 'skip').map(action => [action.path, action.reason]));
+    
+    // Copy exclusions come first, then includes, then the limits
+    expect(skips[path.join('img', 'draft.png')]).toBe('excluded by pattern "draft.*"');
+    expect(skips['notes.txt']).toBe('not included');
+    expect(skips[path.join('img', 'photo.png')]).toBe('larger than 1024 bytes');
+    expect(skips[path.join('img', 'old.png')]).toMatch(/^not modified since /);
+    // Destination files the filters leave out are not deleted
+    expect(skips['readme.md']).toBe('protected by filter (not included)');
+    expect(skips[path.join('img', 'archived.png')]).toMatch(/^protected by filter \(not modified since /);
+    
+    expect(await sync.apply(plan)).toMatchObject({ copied: 2, deleted: 1, skipped: 4 });
+    expect((await fs.readdir(path.join(destDir, 'img'))).sort()).toEqual(['archived.png', 'icon.png', 'logo.svg']);
+    expect(await fileExists(path.join(destDir, 'readme.md'))).toBe(true);
+    
+    expect(() => new IdaSync({ minSize: '2M', maxSize: '1M' })).toThrow('Invalid size range');
+    expect(() => new IdaSync({ newerThan: 'yesterday-ish' })).toThrow('Invalid newerThan');
+  });
+
+  test('should apply update policies and the modify window', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const base = new Date('2024-06-01T12:00:00Z');
+    const at = seconds => new Date(base.getTime() + seconds * 1000);
+    
+    // Rounded to two seconds, as on FAT
+    await createTestFile(path.join(sourceDir, 'rounded.txt'), 'same');
+    await createTestFile(path.join(destDir, 'rounded.txt'), 'same');
+    await fs.utimes(path.join(sourceDir, 'rounded.txt'), at(1.5), at(1.5));
+    await fs.utimes(path.join(destDir, 'rounded.txt'), at(2), at(2));
+    // Edited in the destination since the last sync
+    await createTestFile(path.join(sourceDir, 'edited.txt'), 'old');
+    await createTestFile(path.join(destDir, 'edited.txt'), 'edited');
+    await fs.utimes(path.join(sourceDir, 'edited.txt'), at(0), at(0));
+    await fs.utimes(path.join(destDir, 'edited.txt'), at(60), at(60));
+    // Changed in the source
+    await createTestFile(path.join(sourceDir, 'changed.txt'), 'new content');
+    await createTestFile(path.join(destDir, 'changed.txt'), 'old');
+    await createTestFile(path.join(sourceDir, 'added.txt'), 'added');
+    
+    const types = async options => Object.fromEntries((await new IdaSync(options).plan(sourceDir, destDir)).actions
+      .map(action => [action.path, action.type === 'skip' ? action.reason : action.type]));
+    
+    expect(await types({})).toEqual({ 'rounded.txt': 'overwrite', 'edited.txt': 'overwrite', 'changed.txt': 'overwrite', 'added.txt': 'copy' });
+    expect(await types({ modifyWindow: 1 })).toEqual({ 'edited.txt': 'overwrite', 'changed.txt': 'overwrite', 'added.txt': 'copy' });
+    expect(await types({ modifyWindow: 1, update: true })).toEqual({
+      'edited.txt': 'destination is newer',
+      'changed.txt': 'overwrite',
+      'added.txt': 'copy'
+    });
+    expect(await types({ ignoreExisting: true })).toEqual({
+      'rounded.txt': 'exists in destination',
+      'edited.txt': 'exists in destination',
+      'changed.txt': 'exists in destination',
+      'added.txt': 'copy'
+    });
+    expect(await types({ existing: true, modifyWindow: 1 })).toEqual({
+      'edited.txt': 'overwrite',
+      'changed.txt': 'overwrite',
+      'added.txt': 'not in destination'
+    });
+    
+    const result = await new IdaSync({ update: true, modifyWindow: 1 }).sync(sourceDir, destDir);
+    expect(result).toMatchObject({ copied: 2, skipped: 1 });
+    expect(await fs.readFile(path.join(destDir, 'edited.txt'), 'utf8')).toBe('edited');
+    
+    expect(() => new IdaSync({ modifyWindow: -1 })).toThrow('Invalid modifyWindow');
+  });
+
+  test('should sync through file system adapters, in memory or to disk', async () => {
+    const { MemoryFileSystem } = IdaSync;
+    const source = new MemoryFileSystem({
+      '/src/index.html': '<html>',
+      '/src/css/site.css': 'body {}',
+      '/src/debug.log': 'log',
+      '/src/drafts/.idasyncignore': '*',
+      '/src/drafts/todo.txt': 'todo'
+    });
+    const destination = new MemoryFileSystem({
+      '/dest/index.html': '<old>',
+      '/dest/stale.txt': 'stale',
+      '/dest/old/gone.txt': 'gone',
+      '/dest/keep.lock': 'lock'
+    });
+    await source.symlink('index.html', '/src/home.html');
+    
+    const sync = new IdaSync({
+      sourceFs: source,
+      destinationFs: destination,
+      copyExclusions: ['*.log'],
+      deleteExclusions: ['*.lock'],
+      symlinks: 'preserve'
+    });
+    const result = await sync.sync('/src', '/dest');
+    expect(result).toMatchObject({ copied: 3, deleted: 2, skipped: 3 });
+    expect(destination.toObject('/dest')).toEqual({
+      'css': null,
+      'css/site.css': 'body {}',
+      'home.html': { symlink: 'index.html' },
+      'index.html': '<html>',
+      'keep.lock': 'lock'
+    });
+    expect((await destination.stat('/dest/index.html')).mtime).toEqual((await source.stat('/src/index.html')).mtime);
+    
+    // Nothing left to do, by times or by content
+    expect((await sync.plan('/src', '/dest')).actions.filter(action => action.type !== 'skip')).toEqual([]);
+    const checksum = new IdaSync({ sourceFs: source, destinationFs: destination, compare: 'checksum', copyExclusions: ['*.log'] });
+    expect((await checksum.plan('/src', '/dest')).actions.filter(action => action.type === 'overwrite')).toEqual([]);
+    
+    // From memory to disk, with progress events streaming across
+    const destDir = await createTempDirTracked();
+    const toDisk = new IdaSync({ sourceFs: source });
+    const progress = [];
+    toDisk.on('copy:progress', event => progress.push(event.path));
+    expect(await toDisk.sync('/src/css', destDir)).toMatchObject({ copied: 1, deleted: 0 });
+    expect(await fs.readFile(path.join(destDir, 'site.css'), 'utf8')).toBe('body {}');
+    expect(progress).toEqual(['site.css']);
+    
+    // Only files on disk are hash cached, as memory could hold other content at the same paths
+    const cacheFile = path.join(await createTempDirTracked(), 'hashes.json');
+    await new IdaSync({ sourceFs: source, compare: 'checksum', hashCache: cacheFile }).sync('/src/css', destDir);
+    expect(Object.keys(JSON.parse(await fs.readFile(cacheFile, 'utf8')).entries)).toEqual([path.join(destDir, 'site.css')]);
+    
+    // A missing source is reported like on disk
+    expect(await new IdaSync({ sourceFs: source, logger: { warn: () => {} } }).plan('/nowhere', destDir))
+      .toMatchObject({ sourceMissing: true, actions: [] });
+    
+    expect(() => new IdaSync({ sourceFs: { stat: () => {} } })).toThrow('Invalid file system adapter: missing readdir');
+    expect(() => new IdaSync({ destinationFs: destination, transactional: true })).toThrow('need a destination on the local file system');
+    expect(() => new IdaSync({ sourceFs: source, bidirectional: true })).toThrow('Bidirectional mode needs both sides');
+  });
+
+  test('should read ignore files, restore backups and watch through file system adapters', async () => {
+    const { MemoryFileSystem } = IdaSync;
+    
+    // Ignore files are read from the source's file system
+    const source = new MemoryFileSystem({
+      '/rules/ignore.txt': '*.log',
+      '/src/app.js': 'app',
+      '/src/debug.log': 'log'
+    });
+    const memory = new MemoryFileSystem();
+    await new IdaSync({ sourceFs: source, destinationFs: memory, ignoreFiles: ['/rules/ignore.txt'] }).sync('/src', '/dest');
+    expect(memory.toObject('/dest')).toEqual({ 'app.js': 'app' });
+    
+    // A backup made on disk is restored into a copy of the destination in memory
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const backupDir = await createTempDirTracked();
+    await createTestFile(path.join(sourceDir, 'page.txt'), 'new page');
+    await createTestFile(path.join(sourceDir, 'added.txt'), 'added');
+    await createTestFile(path.join(destDir, 'page.txt'), 'old');
+    
+    const backedUp = new IdaSync({ backupDir });
+    await backedUp.sync(sourceDir, destDir);
+    const [run] = await backedUp.listBackups();
+    
+    const copy = new MemoryFileSystem({
+      [path.join(destDir, 'page.txt')]: 'new page',
+      [path.join(destDir, 'added.txt')]: 'added'
+    });
+    expect(await new IdaSync({ destinationFs: copy }).restore(run.path, destDir)).toEqual({ restored: 1, removed: 1 });
+    expect(copy.toObject(destDir)).toEqual({ 'page.txt': 'old' });
+    expect(await fs.readFile(path.join(destDir, 'page.txt'), 'utf8')).toBe('new page');
+    
+    // Watching needs the source on disk, the destination can be anywhere
+    await expect(new IdaSync({ sourceFs: source }).watch('/src', destDir)).rejects.toThrow('Watch mode needs a source on the local file system');
+    
+    let notify = () => {};
+    const nextSync = () => new Promise(resolve => { notify = resolve; });
+    const watcher = await new IdaSync({ destinationFs: memory, watchDebounce: 50 }).watch(sourceDir, '/watched', {
+      onSync: result => notify(result)
+    });
+    
+    try {
+      expect(memory.toObject('/watched')).toEqual({ 'added.txt': 'added', 'page.txt': 'new page' });
+      
+      const synced = nextSync();
+      await createTestFile(path.join(sourceDir, 'sub', 'later.txt'), 'later');
+      await fs.unlink(path.join(sourceDir, 'added.txt'));
+      await synced;
+      
+      // Wait for any trailing batch from the same burst
+      await new Promise(resolve => setTimeout(resolve, 200));
+      
+      expect(memory.toObject('/watched')).toEqual({ 'page.txt': 'new page', 'sub': null, 'sub/later.txt': 'later' });
+    } finally {
+      watcher.close();
+    }
+  });
+
+  test('should rename moved files in the destination instead of copying them again', async () => {
+    const sourceDir = await createTempDirTracked();
+    const destDir = await createTempDirTracked();
+    const backupDir = await createTempDirTracked();
+    
+    await createTestFile(path.join(sourceDir, 'videos', 'a.mp4'), 'aaaa');
+    await createTestFile(path.join(sourceDir, 'videos', 'b.mp4'), 'bbbbbb');
+    await createTestFile(path.join(sourceDir, 'notes.txt'), 'xyz');
+    await new IdaSync().sync(sourceDir, destDir);
+    
+    // The folder is renamed, and a file of the same size and time stands in for the notes
+    await fs.rename(path.join(sourceDir, 'videos'), path.join(sourceDir, 'films'));
+    const notesStat = await fs.stat(path.join(sourceDir, 'notes.txt'));
+    await fs.unlink(path.join(sourceDir, 'notes.txt'));
+    await createTestFile(path.join(sourceDir, 'todo.txt'), 'abc');
+    await fs.utimes(path.join(sourceDir, 'todo.txt'), notesStat.atime, notesStat.mtime);
+    
+    const plan = await new IdaSync({ detectRenames: true, compare: 'checksum' }).plan(sourceDir, destDir);
+    expect(plan.actions.map(action => [action.type, action.path, action.from])).toEqual([
+      ['rename', path.join('films', 'a.mp4'), path.join('videos', 'a.mp4')],
+      ['rename', path.join('films', 'b.mp4'), path.join('videos', 'b.mp4')],
+      ['copy', 'todo.txt', undefined],
+      ['delete', 'notes.txt', undefined],
+      ['rmdir', 'videos', undefined]
+    ]);
+    
+    const messages = [];
+    const logger = { info: message => messages.push(message), warn: () => {}, error: () => {} };
+    const sync = new IdaSync({ detectRenames: true, backupDir, verbose: true, logger });
+    const result = await sync.sync(sourceDir, destDir);
+    // Without checksums, the stand-in matches the notes by size and time
+    expect(result).toMatchObject({ copied: 0, deleted: 0, renamed: 3, bytes: 0 });
+    expect(result.files[0]).toEqual({ type: 'rename', path: path.join('films', 'a.mp4'), bytes: 0, reason: `renamed from ${path.join('videos', 'a.mp4')}`, from: path.join('videos', 'a.mp4') });
+    expect(messages).toContain(`[idasync] Renamed: ${path.join('videos', 'b.mp4')} -> ${path.join('films', 'b.mp4')}`);
+    expect((await fs.readdir(destDir)).sort()).toEqual(['films', 'todo.txt']);
+    expect(await fs.readFile(path.join(destDir, 'films', 'b.mp4'), 'utf8')).toBe('bbbbbb');
+    
+    // Restoring the backup moves the files back
+    expect(await sync.restore(result.backup, destDir)).toEqual({ restored: 3, removed: 0 });
+    expect((await fs.readdir(destDir)).sort()).toEqual(['notes.txt', 'videos']);
+    expect(await fs.readFile(path.join(destDir, 'notes.txt'), 'utf8')).toBe('xyz');
+    
+    expect(() => new IdaSync({ detectRenames: true, bidirectional: true })).toThrow('Rename detection is not supported');
+  });
 });